@@ -2,6 +2,7 @@ import { Routes, Route } from 'react-router-dom';
 import Navigation from './components/Navigation';
 import SearchPage from './pages/search/SearchPage';
 import DraughtsPage from './pages/draughts/DraughtsPage';
+import PuzzlePage from './pages/puzzle/PuzzlePage';
 import './pages/draughts/draughts.css';
 
 function App() {
@@ -12,6 +13,7 @@ function App() {
       <div className="app-container">
         <Routes>
           <Route path="/" element={<SearchPage />} />
+          <Route path="/puzzle" element={<PuzzlePage />} />
           <Route path="/draughts" element={<DraughtsPage />} />
         </Routes>
 
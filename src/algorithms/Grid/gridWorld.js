@@ -0,0 +1,155 @@
+/**
+ * Grid world (maze) domain
+ *
+ * A grid world is described by:
+ * {
+ *   rows, cols,
+ *   cells,          // cells[row][col]: the cost of entering the cell, or null for a wall
+ *   start, goal,    // [row, col]
+ *   connectivity,   // 4 or 8
+ *   heuristic       // a key of GRID_HEURISTICS
+ * }
+ *
+ * It is converted to the same graph / costValues / heuristicValues inputs the
+ * search page builds from the text inputs, with one node per open cell.
+ */
+
+// Round derived costs so √2 moves stay readable in the step trace
+const round = (value) => Number(value.toFixed(3));
+
+/**
+ * Get the node name of a cell
+ *
+ * @param {number} row - The row of the cell
+ * @param {number} col - The column of the cell
+ * @returns {string} - The node name, e.g. "r2c5"
+ */
+export function cellName(row, col) {
+  return `r${row}c${col}`;
+}
+
+/**
+ * Get the cell of a node name
+ *
+ * @param {string} name - The node name
+ * @returns {Array|null} - [row, col], or null if the name is not a cell
+ */
+export function parseCellName(name) {
+  const match = /^r(\d+)c(\d+)$/.exec(name);
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+/**
+ * Create an empty grid world with the start and goal in opposite corners
+ *
+ * @param {number} rows - The number of rows
+ * @param {number} cols - The number of columns
+ * @returns {Object} - The grid world
+ */
+export function createGridWorld(rows, cols) {
+  return {
+    rows,
+    cols,
+    cells: Array.from({ length: rows }, () => Array(cols).fill(1)),
+    start: [0, 0],
+    goal: [rows - 1, cols - 1],
+    connectivity: 4,
+    heuristic: 'manhattan'
+  };
+}
+
+/**
+ * Distance heuristics between two cells, given the row and column differences
+ */
+export const GRID_HEURISTICS = {
+  manhattan: { name: 'Manhattan', fn: (dr, dc) => dr + dc },
+  euclidean: { name: 'Euclidean', fn: (dr, dc) => Math.sqrt(dr * dr + dc * dc) },
+  chebyshev: { name: 'Chebyshev', fn: (dr, dc) => Math.max(dr, dc) },
+  octile: { name: 'Octile', fn: (dr, dc) => Math.max(dr, dc) + (Math.SQRT2 - 1) * Math.min(dr, dc) }
+};
+
+/**
+ * Convert a grid world to an adjacency object and edge costs
+ *
+ * Entering a cell costs its terrain value, times √2 for a diagonal move.
+ * Diagonal moves may not cut the corner of a wall.
+ *
+ * @param {Object} world - The grid world
+ * @returns {Object} - { graph, costValues }
+ */
+export function gridToGraph(world) {
+  const { rows, cols, cells, connectivity } = world;
+  const isOpen = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && cells[r][c] !== null;
+
+  const directions = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+  if (connectivity === 8) {
+    directions.push([-1, 1], [1, 1], [1, -1], [-1, -1]);
+  }
+
+  const graph = {};
+  const costValues = {};
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!isOpen(row, col)) continue;
+
+      const node = cellName(row, col);
+      graph[node] = [];
+
+      for (const [dr, dc] of directions) {
+        const r = row + dr;
+        const c = col + dc;
+        if (!isOpen(r, c)) continue;
+
+        const diagonal = dr !== 0 && dc !== 0;
+        if (diagonal && (!isOpen(row + dr, col) || !isOpen(row, col + dc))) continue;
+
+        const neighbor = cellName(r, c);
+        graph[node].push(neighbor);
+        costValues[`${node},${neighbor}`] = round(cells[r][c] * (diagonal ? Math.SQRT2 : 1));
+      }
+    }
+  }
+
+  return { graph, costValues };
+}
+
+/**
+ * Compute the heuristic value of every open cell towards the goal
+ *
+ * @param {Object} world - The grid world
+ * @returns {Object} - The heuristic values keyed by node name
+ */
+export function gridHeuristicValues(world) {
+  const { rows, cols, cells, goal } = world;
+  const distance = GRID_HEURISTICS[world.heuristic].fn;
+  const heuristicValues = {};
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (cells[row][col] !== null) {
+        heuristicValues[cellName(row, col)] = round(distance(Math.abs(row - goal[0]), Math.abs(col - goal[1])));
+      }
+    }
+  }
+
+  return heuristicValues;
+}
+
+/**
+ * Build every search input from a grid world
+ *
+ * @param {Object} world - The grid world
+ * @returns {Object} - { graph, costValues, heuristicValues, startState, goalState }
+ */
+export function buildGridSearchInput(world) {
+  const { graph, costValues } = gridToGraph(world);
+
+  return {
+    graph,
+    costValues,
+    heuristicValues: gridHeuristicValues(world),
+    startState: cellName(...world.start),
+    goalState: cellName(...world.goal)
+  };
+}
@@ -1,147 +1,224 @@
+import { toSearchProblem } from '../searchProblem';
+import { buildEntryPath, isOnPath } from '../searchModes';
+import { compareOrder, createPriorityQueue } from '../priorityQueue';
+import { createMetricsTracker } from '../searchMetrics';
+
 /**
  * Implementation of A* algorithm
- * 
- * @param {Object} graph - The graph representation
+ *
+ * With weight w > 1 this becomes Weighted A*, ordering L by f = g + w·h.
+ * It usually expands fewer nodes, and with an admissible h the cost of the
+ * path found is at most w times the optimal cost.
+ *
+ * The mode decides what happens to states that were already generated (see
+ * searchModes.js). The default, graph search with reopening, puts a state back
+ * into L whenever a cheaper path to it is found.
+ *
+ * L is an indexed binary heap ordered by f. Ties keep the order a stable sort
+ * of L would give (see the order field below), so the trace is the same as
+ * sorting L after every expansion.
+ *
+ * A search problem may set maxExpansions; the search then fails with
+ * limitReached once that many nodes were expanded.
+ *
+ * @param {Object} graph - The graph representation, or a search problem
  * @param {string} startState - The starting node
  * @param {string} goalState - The goal node
  * @param {Function} heuristicFn - The heuristic function h(n)
  * @param {Function} costFn - The cost function k(u,v)
+ * @param {number} [weight=1] - The heuristic weight w >= 1
+ * @param {string} [mode='graphReopen'] - 'tree', 'graph' or 'graphReopen'
+ * @param {boolean} [recordSteps=true] - Record the trace; turn off to time large graphs
  * @returns {Object} - The search result including steps and path
  */
-export function aStar(graph, startState, goalState, heuristicFn, costFn) {
+export function aStar(graph, startState, goalState, heuristicFn, costFn, weight = 1, mode = 'graphReopen', recordSteps = true) {
+  const problem = toSearchProblem(graph, startState, goalState, heuristicFn, costFn);
+  const startKey = problem.key(problem.initialState);
+  const startH = problem.heuristic(problem.initialState);
+
+  // Number of expansions so far, and of nodes put into L during the current one
+  let expansion = 0;
+  let inserted = 0;
+
+  // Every item of L is a node instance: a state with its g, f and parent.
+  // Graph search keeps one instance per state; tree search may hold several.
+  // The order breaks ties in f like a stable sort: [expansion, 1, index] for
+  // a node put into L, [expansion, 0, old f, ...old order] for a node whose f
+  // went down while it stayed at its old place in L.
+  const start = { key: startKey, state: problem.initialState, g: 0, f: weight * startH, parent: null, order: [0, 1, 0] };
+  const nodes = { [startKey]: start };
+
   // Initialize the list with the start state
-  let L = [startState];
-  
-  // Keep track of the steps for visualization
-  const steps = [
-    {
-      step: 0,
-      description: `Initialization: L = {${startState}}`,
-      u: null,
-      neighbors: null,
-      L: [...L],
-      g: { [startState]: 0 },
-      f: { [startState]: heuristicFn(startState) }
-    }
-  ];
-  
-  // Keep track of the path
-  const cameFrom = {};
-  cameFrom[startState] = null;
-  
+  const L = createPriorityQueue((a, b) => (a.f - b.f) || compareOrder(a.order, b.order));
+  L.push(start);
+
+  // Keep track of the statistics of the run
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.size());
+
+  // Keep track of the expanded states (graph search only), in expansion order
+  const closed = new Set();
+
   // Keep track of g(n) - the cost from start to n
   const gScore = {};
-  gScore[startState] = 0;
-  
-  // Keep track of f(n) = g(n) + h(n)
+  gScore[startKey] = 0;
+
+  // Keep track of f(n) = g(n) + w·h(n)
   const fScore = {};
-  fScore[startState] = heuristicFn(startState);
-  
+  fScore[startKey] = weight * startH;
+
+  // Keep track of the steps for visualization. Copying g and f costs as much
+  // as the whole graph, so steps share the copies until a value changes.
+  const steps = [];
+  let gCopy = null;
+  let fCopy = null;
+  const record = (step, description, u, neighbors) => {
+    if (!recordSteps) return;
+    if (!gCopy) {
+      gCopy = {...gScore};
+      fCopy = {...fScore};
+    }
+    steps.push({
+      step,
+      description,
+      u,
+      neighbors,
+      L: L.toSortedArray().map(entry => entry.key),
+      g: gCopy,
+      f: fCopy,
+      closed: [...closed],
+      mode
+    });
+  };
+
+  record(
+    0,
+    weight === 1
+      ? `Initialization: L = {${startKey}}`
+      : `Initialization: L = {${startKey}}, f = g + ${weight}·h`,
+    null,
+    null
+  );
+
   // Keep track of the step number
   let stepNumber = 1;
-  
+
   // Loop until L is empty or goal is found
-  while (L.length > 0) {
-    // If L is empty, search fails
-    if (L.length === 0) {
-      steps.push({
-        step: stepNumber,
-        description: "L is empty. Search fails.",
-        u: null,
-        neighbors: null,
-        L: [],
-        g: {...gScore},
-        f: {...fScore}
-      });
-      return { success: false, steps, path: [] };
-    }
-    
+  while (L.size() > 0) {
     // Get the first node from L
-    const u = L.shift();
-    
+    const current = L.pop();
+    const u = current.key;
+    expansion++;
+    inserted = 0;
+
+    // Move u to CLOSED
+    if (mode !== 'tree') {
+      closed.add(u);
+    }
+
     // If u is the goal, search succeeds
-    if (u === goalState) {
-      steps.push({
-        step: stepNumber,
-        description: `u = ${u} is GOAL. Search succeeds.`,
-        u,
-        neighbors: null,
-        L: [...L],
-        g: {...gScore},
-        f: {...fScore}
-      });
-      
-      // Reconstruct the path
-      const path = [];
-      let current = u;
-      while (current !== null) {
-        path.unshift(current);
-        current = cameFrom[current];
-      }
-      
-      return { success: true, steps, path };
+    if (problem.isGoal(current.state)) {
+      record(stepNumber, `u = ${u} is GOAL. Search succeeds.`, u, null);
+
+      return { success: true, steps, path: buildEntryPath(current), cost: current.g, weight, metrics: metrics.result(current.g) };
     }
-    
+
+    // Give up when the expansion limit is reached
+    if (expansion > problem.maxExpansions) {
+      record(stepNumber, `Reached the limit of ${problem.maxExpansions} expansions before u = ${u}. Search fails.`, u, null);
+
+      return { success: false, steps, path: [], weight, limitReached: true, metrics: metrics.result() };
+    }
+
     // Get all neighbors of u
-    const neighbors = graph[u] || [];
-    
+    const successors = problem.successors(current.state);
+    const neighbors = successors.map(({ state }) => problem.key(state));
+    metrics.expand(u);
+
     // Add step for current node
-    steps.push({
-      step: stepNumber,
-      description: `u = ${u}`,
-      u,
-      neighbors: null,
-      L: [...L],
-      g: {...gScore},
-      f: {...fScore}
-    });
+    record(stepNumber, `u = ${u}`, u, null);
     stepNumber++;
-    
+
+    // Notes about skipped and reopened states for the step description
+    const notes = [];
+
     // Process all neighbors
-    for (const v of neighbors) {
+    successors.forEach(({ state, cost }, index) => {
+      const v = neighbors[index];
+
       // Calculate g(v) = g(u) + k(u,v)
-      const tentativeGScore = gScore[u] + costFn(u, v);
-      
-      // If v is not in gScore or if we found a better path to v
-      if (!(v in gScore) || tentativeGScore < gScore[v]) {
+      const tentativeGScore = current.g + cost;
+      const f = tentativeGScore + weight * problem.heuristic(state);
+
+      if (mode === 'tree') {
+        // Tree search: a new instance of v, unless v is already on its own path
+        if (isOnPath(current, v)) {
+          notes.push(`${v} is on the path to ${u}, skip`);
+          return;
+        }
+        gScore[v] = tentativeGScore;
+        fScore[v] = f;
+        gCopy = null;
+        L.push({ key: v, state, g: tentativeGScore, f, parent: current, order: [expansion, 1, inserted++] });
+        metrics.generate();
+        return;
+      }
+
+      // Graph search without reopening never generates a CLOSED state again
+      if (mode === 'graph' && closed.has(v)) {
+        notes.push(`${v} is in CLOSED, skip`);
+        return;
+      }
+
+      // If v is new or if we found a better path to v
+      if (!(v in nodes) || tentativeGScore < nodes[v].g) {
         // Update path and scores
-        cameFrom[v] = u;
+        const entry = nodes[v] || { key: v, state };
+        const oldF = entry.f;
+        entry.g = tentativeGScore;
+        entry.f = f;
+        entry.parent = current;
+        nodes[v] = entry;
         gScore[v] = tentativeGScore;
-        fScore[v] = gScore[v] + heuristicFn(v);
-        
-        // Add v to L if it's not already there
-        if (!L.includes(v)) {
-          L.push(v);
+        fScore[v] = f;
+        gCopy = null;
+
+        // Reopen v if it was already expanded
+        if (closed.delete(v)) {
+          notes.push(`cheaper path to ${v}, reopen it`);
+        }
+
+        // Move v up if it is already in L, otherwise add it
+        if (L.has(entry)) {
+          if (entry.order[0] !== expansion) {
+            entry.order = [expansion, 0, oldF, ...entry.order];
+          }
+          L.update(entry);
+        } else {
+          entry.order = [expansion, 1, inserted++];
+          L.push(entry);
+          metrics.generate();
         }
       }
-    }
-    
-    // Sort L in ascending order by the values of f
-    L.sort((a, b) => fScore[a] - fScore[b]);
-    
+    });
+
+    metrics.frontier(L.size());
+
     // Add step for neighbors
-    steps.push({
-      step: stepNumber,
-      description: `Neighbors of ${u}: ${neighbors.join(', ')}. Update g and f values. Sort L by f values.`,
+    record(
+      stepNumber,
+      `Neighbors of ${u}: ${neighbors.join(', ')}. ` +
+        (notes.length > 0 ? `${notes.join('; ')}. ` : '') +
+        'Update g and f values. Sort L by f values.',
       u,
-      neighbors,
-      L: [...L],
-      g: {...gScore},
-      f: {...fScore}
-    });
+      neighbors
+    );
     stepNumber++;
   }
-  
+
   // If we get here, search fails
-  steps.push({
-    step: stepNumber,
-    description: "L is empty. Search fails.",
-    u: null,
-    neighbors: null,
-    L: [],
-    g: {...gScore},
-    f: {...fScore}
-  });
-  
-  return { success: false, steps, path: [] };
+  record(stepNumber, "L is empty. Search fails.", null, null);
+
+  return { success: false, steps, path: [], weight, metrics: metrics.result() };
 }
@@ -0,0 +1,144 @@
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of Beam Search algorithm
+ * 
+ * Works like Best-First Search, but after each expansion only the beamWidth
+ * best nodes of L are kept. Dropped nodes are never reconsidered, so the
+ * search may miss a goal that Best-First Search would find.
+ * 
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {number} beamWidth - The number of nodes kept in L (k)
+ * @returns {Object} - The search result including steps and path
+ */
+export function beamSearch(graph, startState, goalState, heuristicFn, beamWidth) {
+  // Initialize the list with the start state
+  let L = [startState];
+  
+  // Keep track of the statistics of the run
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.length);
+  
+  // Keep track of every node dropped from the beam so far
+  const droppedNodes = [];
+  
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: L = {${startState}}, beam width k = ${beamWidth}`,
+      u: null,
+      neighbors: null,
+      L: [...L],
+      beamWidth,
+      dropped: [],
+      droppedTotal: []
+    }
+  ];
+  
+  // Keep track of the path
+  const cameFrom = {};
+  cameFrom[startState] = null;
+  
+  // Keep track of the step number
+  let stepNumber = 1;
+  
+  // Loop until L is empty or goal is found
+  while (L.length > 0) {
+    // Get the first node from L
+    const u = L.shift();
+    
+    // If u is the goal, search succeeds
+    if (u === goalState) {
+      steps.push({
+        step: stepNumber,
+        description: `u = ${u} is GOAL. Search succeeds.`,
+        u,
+        neighbors: null,
+        L: [...L],
+        beamWidth,
+        dropped: [],
+        droppedTotal: [...droppedNodes]
+      });
+      
+      // Reconstruct the path
+      const path = [];
+      let current = u;
+      while (current !== null) {
+        path.unshift(current);
+        current = cameFrom[current];
+      }
+      
+      return { success: true, steps, path, metrics: metrics.result() };
+    }
+    
+    // Get all neighbors of u
+    const neighbors = graph[u] || [];
+    metrics.expand(u);
+    
+    // Add step for current node
+    steps.push({
+      step: stepNumber,
+      description: `u = ${u}`,
+      u,
+      neighbors: null,
+      L: [...L],
+      beamWidth,
+      dropped: [],
+      droppedTotal: [...droppedNodes]
+    });
+    stepNumber++;
+    
+    // Insert all neighbors into L
+    for (const v of neighbors) {
+      if (!(v in cameFrom)) {
+        cameFrom[v] = u;
+        L.push(v);
+        metrics.generate();
+      }
+    }
+    metrics.frontier(L.length);
+    
+    // Sort L in ascending order by the heuristic function values
+    L.sort((a, b) => heuristicFn(a) - heuristicFn(b));
+    
+    // Keep only the k best nodes of L
+    const dropped = L.slice(beamWidth);
+    L = L.slice(0, beamWidth);
+    droppedNodes.push(...dropped);
+    
+    // Add step for neighbors
+    steps.push({
+      step: stepNumber,
+      description: `Neighbors of ${u}: ${neighbors.join(', ')}. Sort L by heuristic and keep the ${beamWidth} best.` +
+        (dropped.length > 0 ? ` Dropped from the beam: ${dropped.join(', ')}.` : ''),
+      u,
+      neighbors,
+      L: [...L],
+      beamWidth,
+      dropped,
+      droppedTotal: [...droppedNodes]
+    });
+    stepNumber++;
+  }
+  
+  // If we get here, search fails
+  steps.push({
+    step: stepNumber,
+    description: droppedNodes.length > 0
+      ? `L is empty. Search fails. Nodes dropped from the beam were never explored: ${droppedNodes.join(', ')}.`
+      : "L is empty. Search fails.",
+    u: null,
+    neighbors: null,
+    L: [],
+    beamWidth,
+    dropped: [],
+    droppedTotal: [...droppedNodes]
+  });
+  
+  return { success: false, steps, path: [], metrics: metrics.result() };
+}
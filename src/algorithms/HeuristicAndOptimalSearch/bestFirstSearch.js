@@ -1,115 +1,184 @@
+import { toSearchProblem } from '../searchProblem';
+import { buildEntryPath, isOnPath } from '../searchModes';
+import { createPriorityQueue } from '../priorityQueue';
+import { createMetricsTracker } from '../searchMetrics';
+
 /**
  * Implementation of Best-First Search algorithm
- * 
- * @param {Object} graph - The graph representation
+ *
+ * The mode decides what happens to states that were already generated (see
+ * searchModes.js). The default graph search never puts a state into L twice.
+ * With reopening, the path cost g is tracked so a cheaper path to an expanded
+ * state can put it back into L.
+ *
+ * L is an indexed binary heap ordered by h, with ties in the order the nodes
+ * were put into L, just like a stable sort.
+ *
+ * Like A*, it gives up with limitReached after the maxExpansions of a search
+ * problem.
+ *
+ * @param {Object} graph - The graph representation, or a search problem
  * @param {string} startState - The starting node
  * @param {string} goalState - The goal node
  * @param {Function} heuristicFn - The heuristic function
+ * @param {Function} [costFn] - The cost function k(u,v), used by 'graphReopen'
+ * @param {string} [mode='graph'] - 'tree', 'graph' or 'graphReopen'
+ * @param {boolean} [recordSteps=true] - Record the trace; turn off to time large graphs
  * @returns {Object} - The search result including steps and path
  */
-export function bestFirstSearch(graph, startState, goalState, heuristicFn) {
+export function bestFirstSearch(graph, startState, goalState, heuristicFn, costFn, mode = 'graph', recordSteps = true) {
+  const problem = toSearchProblem(graph, startState, goalState, heuristicFn, costFn);
+  const startKey = problem.key(problem.initialState);
+  const tracksCost = mode === 'graphReopen';
+
+  // Number of nodes put into L so far, to break ties in h
+  let inserted = 0;
+
+  // Number of nodes taken from L so far
+  let expansion = 0;
+
+  // Every item of L is a node instance: a state with its h, g and parent.
+  // Graph search keeps one instance per state; tree search may hold several.
+  const start = { key: startKey, state: problem.initialState, h: problem.heuristic(problem.initialState), g: 0, parent: null, order: inserted++ };
+  const nodes = { [startKey]: start };
+
   // Initialize the list with the start state
-  let L = [startState];
-  
-  // Keep track of the steps for visualization
-  const steps = [
-    {
-      step: 0,
-      description: `Initialization: L = {${startState}}`,
-      u: null,
-      neighbors: null,
-      L: [...L]
+  const L = createPriorityQueue((a, b) => (a.h - b.h) || (a.order - b.order));
+  L.push(start);
+
+  // Keep track of the statistics of the run
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.size());
+
+  // Keep track of the expanded states (graph search only), in expansion order
+  const closed = new Set();
+
+  // Keep track of g(n) when reopening
+  const gScore = { [startKey]: 0 };
+
+  // Keep track of the steps for visualization. Steps share the copy of g
+  // until a value changes, as in A*.
+  const steps = [];
+  let gCopy = null;
+  const record = (step, description, u, neighbors) => {
+    if (!recordSteps) return;
+    if (tracksCost && !gCopy) {
+      gCopy = {...gScore};
     }
-  ];
-  
-  // Keep track of the path
-  const cameFrom = {};
-  cameFrom[startState] = null;
-  
+    steps.push({
+      step,
+      description,
+      u,
+      neighbors,
+      L: L.toSortedArray().map(entry => entry.key),
+      closed: [...closed],
+      mode,
+      ...(tracksCost ? { g: gCopy } : {})
+    });
+  };
+
+  record(0, `Initialization: L = {${startKey}}`, null, null);
+
   // Keep track of the step number
   let stepNumber = 1;
-  
+
   // Loop until L is empty or goal is found
-  while (L.length > 0) {
-    // If L is empty, search fails
-    if (L.length === 0) {
-      steps.push({
-        step: stepNumber,
-        description: "L is empty. Search fails.",
-        u: null,
-        neighbors: null,
-        L: []
-      });
-      return { success: false, steps, path: [] };
-    }
-    
+  while (L.size() > 0) {
     // Get the first node from L
-    const u = L.shift();
-    
+    const current = L.pop();
+    const u = current.key;
+    expansion++;
+
+    // Move u to CLOSED
+    if (mode !== 'tree') {
+      closed.add(u);
+    }
+
     // If u is the goal, search succeeds
-    if (u === goalState) {
-      steps.push({
-        step: stepNumber,
-        description: `u = ${u} is GOAL. Search succeeds.`,
-        u,
-        neighbors: null,
-        L: [...L]
-      });
-      
-      // Reconstruct the path
-      const path = [];
-      let current = u;
-      while (current !== null) {
-        path.unshift(current);
-        current = cameFrom[current];
-      }
-      
-      return { success: true, steps, path };
+    if (problem.isGoal(current.state)) {
+      record(stepNumber, `u = ${u} is GOAL. Search succeeds.`, u, null);
+
+      return { success: true, steps, path: buildEntryPath(current), metrics: metrics.result(current.g) };
     }
-    
+
+    // Give up when the expansion limit is reached
+    if (expansion > problem.maxExpansions) {
+      record(stepNumber, `Reached the limit of ${problem.maxExpansions} expansions before u = ${u}. Search fails.`, u, null);
+
+      return { success: false, steps, path: [], limitReached: true, metrics: metrics.result() };
+    }
+
     // Get all neighbors of u
-    const neighbors = graph[u] || [];
-    
+    const successors = problem.successors(current.state);
+    const neighbors = successors.map(({ state }) => problem.key(state));
+    metrics.expand(u);
+
     // Add step for current node
-    steps.push({
-      step: stepNumber,
-      description: `u = ${u}`,
-      u,
-      neighbors: null,
-      L: [...L]
-    });
+    record(stepNumber, `u = ${u}`, u, null);
     stepNumber++;
-    
+
+    // Notes about skipped and reopened states for the step description
+    const notes = [];
+
     // Insert all neighbors into L
-    for (const v of neighbors) {
-      if (!(v in cameFrom)) {
-        cameFrom[v] = u;
-        L.push(v);
+    successors.forEach(({ state, cost }, index) => {
+      const v = neighbors[index];
+      const g = current.g + cost;
+
+      if (mode === 'tree') {
+        // Tree search: a new instance of v, unless v is already on its own path
+        if (isOnPath(current, v)) {
+          notes.push(`${v} is on the path to ${u}, skip`);
+          return;
+        }
+        L.push({ key: v, state, h: problem.heuristic(state), g, parent: current, order: inserted++ });
+        metrics.generate();
+        return;
       }
-    }
-    
-    // Sort L in ascending order by the heuristic function values
-    L.sort((a, b) => heuristicFn(a) - heuristicFn(b));
-    
+
+      if (!(v in nodes)) {
+        nodes[v] = { key: v, state, h: problem.heuristic(state), g, parent: current, order: inserted++ };
+        gScore[v] = g;
+        gCopy = null;
+        L.push(nodes[v]);
+        metrics.generate();
+        return;
+      }
+
+      // v was generated before: graph search skips it unless reopening finds a cheaper path
+      if (tracksCost && g < nodes[v].g) {
+        nodes[v].g = g;
+        nodes[v].parent = current;
+        gScore[v] = g;
+        gCopy = null;
+        if (closed.delete(v)) {
+          nodes[v].order = inserted++;
+          L.push(nodes[v]);
+          metrics.generate();
+          notes.push(`cheaper path to ${v}, reopen it`);
+        }
+      } else if (closed.has(v)) {
+        notes.push(`${v} is in CLOSED, skip`);
+      }
+    });
+
+    metrics.frontier(L.size());
+
     // Add step for neighbors
-    steps.push({
-      step: stepNumber,
-      description: `Neighbors of ${u}: ${neighbors.join(', ')}. Sort L by heuristic.`,
+    record(
+      stepNumber,
+      `Neighbors of ${u}: ${neighbors.join(', ')}. ` +
+        (notes.length > 0 ? `${notes.join('; ')}. ` : '') +
+        'Sort L by heuristic.',
       u,
-      neighbors,
-      L: [...L]
-    });
+      neighbors
+    );
     stepNumber++;
   }
-  
+
   // If we get here, search fails
-  steps.push({
-    step: stepNumber,
-    description: "L is empty. Search fails.",
-    u: null,
-    neighbors: null,
-    L: []
-  });
-  
-  return { success: false, steps, path: [] };
+  record(stepNumber, "L is empty. Search fails.", null, null);
+
+  return { success: false, steps, path: [], metrics: metrics.result() };
 }
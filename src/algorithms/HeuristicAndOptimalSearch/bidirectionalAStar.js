@@ -0,0 +1,178 @@
+import { buildReverseGraph } from '../graphUtils';
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of Bidirectional A* algorithm
+ *
+ * Alternates A* expansions from the start (f = g + h) and from the goal over
+ * the reverse graph. The backward search estimates the distance to the start
+ * with h_b(n) = max(0, h(start) - h(n)), which is admissible whenever h is
+ * consistent; an infinite h(start) is taken as 0. The best meeting cost found
+ * so far is kept in `cost`, and the search stops once the smallest f in either
+ * frontier cannot improve it.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function h(n)
+ * @param {Function} costFn - The cost function k(u,v)
+ * @returns {Object} - The search result including steps and path
+ */
+export function bidirectionalAStar(graph, startState, goalState, heuristicFn, costFn) {
+  // Build the reverse adjacency for the backward search
+  const reverseGraph = buildReverseGraph(graph);
+
+  // Heuristic of the backward search: estimated distance from start to n.
+  // An infinite h(start) says nothing about that distance, so it counts as 0
+  // (otherwise Infinity - Infinity would give NaN).
+  const hStart = heuristicFn(startState);
+  const startH = Number.isFinite(hStart) ? hStart : 0;
+  const backwardHeuristicFn = (node) => Math.max(0, startH - heuristicFn(node));
+
+  // Initialize both frontiers
+  const forwardL = [startState];
+  const backwardL = [goalState];
+
+  // Keep track of the path in both directions
+  const cameFromForward = { [startState]: null };
+  const cameFromBackward = { [goalState]: null };
+
+  // Keep track of g and f in both directions
+  const gForward = { [startState]: 0 };
+  const fForward = { [startState]: heuristicFn(startState) };
+  const gBackward = { [goalState]: 0 };
+  const fBackward = { [goalState]: backwardHeuristicFn(goalState) };
+
+  // Keep track of the statistics of the run; L is both frontiers together
+  const metrics = createMetricsTracker();
+  metrics.generate(2);
+  metrics.frontier(2);
+
+  // Best meeting node and the cost of the path through it
+  let meetingNode = startState === goalState ? startState : null;
+  let cost = startState === goalState ? 0 : Infinity;
+
+  // Keep track of the steps for visualization
+  const steps = [];
+
+  // Keep track of the step number
+  let stepNumber = 0;
+
+  const pushStep = (description, u, neighbors, direction) => {
+    steps.push({
+      step: stepNumber,
+      description,
+      u,
+      neighbors,
+      L: [...forwardL],
+      forwardL: [...forwardL],
+      backwardL: [...backwardL],
+      direction,
+      meetingNode,
+      cost,
+      g: {...gForward},
+      f: {...fForward},
+      gBackward: {...gBackward},
+      fBackward: {...fBackward}
+    });
+    stepNumber++;
+  };
+
+  // Join the forward path start → meetingNode and the backward path meetingNode → goal
+  const buildPath = () => {
+    const path = [];
+    let current = meetingNode;
+    while (current !== null) {
+      path.unshift(current);
+      current = cameFromForward[current];
+    }
+    current = cameFromBackward[meetingNode];
+    while (current !== null) {
+      path.push(current);
+      current = cameFromBackward[current];
+    }
+    return path;
+  };
+
+  pushStep(`Initialization: forward L = {${startState}}, backward L = {${goalState}}; cost = ∞`, null, null, null);
+
+  let direction = 'forward';
+
+  // Loop until one of the frontiers is empty
+  while (forwardL.length > 0 && backwardL.length > 0) {
+    // Stop when neither frontier can produce a cheaper meeting path
+    const bound = Math.max(fForward[forwardL[0]], fBackward[backwardL[0]]);
+    if (cost < Infinity && bound >= cost) {
+      pushStep(`max(min f forward, min f backward) = ${bound} >= cost = ${cost}. Stop.`, null, null, null);
+      break;
+    }
+
+    const isForward = direction === 'forward';
+    const frontier = isForward ? forwardL : backwardL;
+    const adjacency = isForward ? graph : reverseGraph;
+    const ownG = isForward ? gForward : gBackward;
+    const ownF = isForward ? fForward : fBackward;
+    const otherG = isForward ? gBackward : gForward;
+    const ownCameFrom = isForward ? cameFromForward : cameFromBackward;
+    const ownHeuristicFn = isForward ? heuristicFn : backwardHeuristicFn;
+    const label = isForward ? 'Forward' : 'Backward';
+
+    // Get the first node from this frontier
+    const u = frontier.shift();
+
+    // Get all neighbors of u
+    const neighbors = adjacency[u] || [];
+    metrics.expand(`${direction}:${u}`);
+
+    pushStep(`${label}: u = ${u}`, u, null, direction);
+
+    // Process all neighbors
+    for (const v of neighbors) {
+      // Edges of the reverse graph carry the cost of the original edge v → u
+      const edgeCost = isForward ? costFn(u, v) : costFn(v, u);
+      const tentativeGScore = ownG[u] + edgeCost;
+
+      // If v is not in g or if we found a better path to v
+      if (!(v in ownG) || tentativeGScore < ownG[v]) {
+        ownCameFrom[v] = u;
+        ownG[v] = tentativeGScore;
+        ownF[v] = ownG[v] + ownHeuristicFn(v);
+
+        if (!frontier.includes(v)) {
+          frontier.push(v);
+          metrics.generate();
+        }
+
+        // If the other search has reached v, check the path through v
+        if (v in otherG && ownG[v] + otherG[v] < cost) {
+          cost = ownG[v] + otherG[v];
+          meetingNode = v;
+        }
+      }
+    }
+
+    // Sort this frontier in ascending order by the values of f
+    frontier.sort((a, b) => ownF[a] - ownF[b]);
+    metrics.frontier(forwardL.length + backwardL.length);
+
+    pushStep(
+      `${label}: neighbors of ${u}: ${neighbors.join(', ')}. Update g and f values. Sort ${label.toLowerCase()} L by f values.` +
+        (meetingNode !== null ? ` Best meeting node = ${meetingNode}, cost = ${cost}.` : ''),
+      u,
+      neighbors,
+      direction
+    );
+
+    direction = isForward ? 'backward' : 'forward';
+  }
+
+  if (meetingNode !== null) {
+    pushStep(`Searches meet at ${meetingNode} with cost = ${cost}. Search succeeds.`, meetingNode, null, null);
+    return { success: true, steps, path: buildPath(), meetingNode, metrics: metrics.result(cost) };
+  }
+
+  // If we get here, search fails
+  pushStep(`${forwardL.length === 0 ? 'Forward' : 'Backward'} L is empty. Search fails.`, null, null, null);
+
+  return { success: false, steps, path: [], meetingNode: null, metrics: metrics.result() };
+}
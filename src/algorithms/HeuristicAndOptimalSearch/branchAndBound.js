@@ -1,87 +1,121 @@
+import { toSearchProblem } from '../searchProblem';
+import { createPriorityQueue } from '../priorityQueue';
+import { createMetricsTracker } from '../searchMetrics';
+
 /**
  * Implementation of Branch and Bound algorithm
  * 
- * @param {Object} graph - The graph representation
+ * L is a binary heap in which the neighbors added by the latest expansion
+ * come first, in the order of the sorted L1. This is the same as inserting L1
+ * at the beginning of L, without copying L.
+ * 
+ * Branch and Bound may expand a state again each time it finds a cheaper
+ * path to it, which on large graphs can go on for millions of expansions. A
+ * search problem may set maxExpansions; the search then stops with
+ * limitReached and the best path found so far, which may not be optimal.
+ * 
+ * @param {Object} graph - The graph representation, or a search problem
  * @param {string} startState - The starting node
  * @param {string} goalState - The goal node
  * @param {Function} heuristicFn - The heuristic function h(n)
  * @param {Function} costFn - The cost function k(u,v)
+ * @param {boolean} [recordSteps=true] - Record the trace; turn off to time large graphs
  * @returns {Object} - The search result including steps and path
  */
-export function branchAndBound(graph, startState, goalState, heuristicFn, costFn) {
+export function branchAndBound(graph, startState, goalState, heuristicFn, costFn, recordSteps = true) {
+  const problem = toSearchProblem(graph, startState, goalState, heuristicFn, costFn);
+  const startKey = problem.key(problem.initialState);
+  const startH = problem.heuristic(problem.initialState);
+  
+  // Keep track of the state behind every key in L
+  const states = { [startKey]: problem.initialState };
+  
+  // Number of nodes taken from L so far; every item of L remembers the
+  // expansion that added it and its place in the sorted L1
+  let expansion = 0;
+  
+  // Number of nodes whose neighbors were generated
+  let expanded = 0;
+  
   // Initialize the list with the start state
-  let L = [startState];
+  const L = createPriorityQueue((a, b) => (b.batch - a.batch) || (a.index - b.index));
+  L.push({ key: startKey, batch: 0, index: 0 });
+  
+  // Keep track of the statistics of the run, and of the nodes pruned by f(u) > cost
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.size());
+  let pruned = 0;
   
   // Initialize cost to infinity
   let cost = Infinity;
   
-  // Keep track of the steps for visualization
-  const steps = [
-    {
-      step: 0,
-      description: `Initialization: L = {${startState}}; cost = ∞`,
-      u: null,
-      neighbors: null,
-      L: [...L],
-      cost,
-      g: { [startState]: 0 },
-      f: { [startState]: heuristicFn(startState) }
-    }
-  ];
-  
   // Keep track of the path
   const cameFrom = {};
-  cameFrom[startState] = null;
+  cameFrom[startKey] = null;
   
   // Keep track of g(n) - the cost from start to n
   const gScore = {};
-  gScore[startState] = 0;
+  gScore[startKey] = 0;
   
   // Keep track of f(n) = g(n) + h(n)
   const fScore = {};
-  fScore[startState] = heuristicFn(startState);
+  fScore[startKey] = startH;
   
   // Keep track of the best path
   let bestPath = [];
   
+  // Keep track of the steps for visualization. Copying g and f costs as much
+  // as the whole graph, so steps share the copies until a value changes.
+  const steps = [];
+  let gCopy = null;
+  let fCopy = null;
+  const record = (step, description, u, neighbors) => {
+    if (!recordSteps) return;
+    if (!gCopy) {
+      gCopy = {...gScore};
+      fCopy = {...fScore};
+    }
+    steps.push({
+      step,
+      description,
+      u,
+      neighbors,
+      L: L.toSortedArray().map(item => item.key),
+      cost,
+      g: gCopy,
+      f: fCopy
+    });
+  };
+  
+  record(0, `Initialization: L = {${startKey}}; cost = ∞`, null, null);
+  
   // Keep track of the step number
   let stepNumber = 1;
   
   // Loop until L is empty
-  while (L.length > 0) {
+  while (L.size() > 0) {
     // If L is empty, search fails
-    if (L.length === 0) {
-      steps.push({
-        step: stepNumber,
-        description: "L is empty. Search fails.",
-        u: null,
-        neighbors: null,
-        L: [],
-        cost,
-        g: {...gScore},
-        f: {...fScore}
-      });
-      return { success: bestPath.length > 0, steps, path: bestPath };
+    if (L.size() === 0) {
+      record(stepNumber, "L is empty. Search fails.", null, null);
+      return {
+        success: bestPath.length > 0,
+        steps,
+        path: bestPath,
+        metrics: metrics.result(bestPath.length > 0 ? cost : null, { pruned })
+      };
     }
     
     // Get the first node from L
-    const u = L.shift();
+    const u = L.pop().key;
+    expansion++;
     
     // Add step for current node
-    steps.push({
-      step: stepNumber,
-      description: `u = ${u}`,
-      u,
-      neighbors: null,
-      L: [...L],
-      cost,
-      g: {...gScore},
-      f: {...fScore}
-    });
+    record(stepNumber, `u = ${u}`, u, null);
     stepNumber++;
     
     // If u is the goal, check if we found a better solution
-    if (u === goalState) {
+    if (problem.isGoal(states[u])) {
       if (gScore[u] <= cost) {
         cost = gScore[u];
         
@@ -93,28 +127,10 @@ export function branchAndBound(graph, startState, goalState, heuristicFn, costFn
           current = cameFrom[current];
         }
         
-        steps.push({
-          step: stepNumber,
-          description: `u = ${u} is GOAL. g(u) = ${gScore[u]} <= cost = ${cost}. Update cost = ${gScore[u]}.`,
-          u,
-          neighbors: null,
-          L: [...L],
-          cost,
-          g: {...gScore},
-          f: {...fScore}
-        });
+        record(stepNumber, `u = ${u} is GOAL. g(u) = ${gScore[u]} <= cost = ${cost}. Update cost = ${gScore[u]}.`, u, null);
         stepNumber++;
       } else {
-        steps.push({
-          step: stepNumber,
-          description: `u = ${u} is GOAL. g(u) = ${gScore[u]} > cost = ${cost}. No update.`,
-          u,
-          neighbors: null,
-          L: [...L],
-          cost,
-          g: {...gScore},
-          f: {...fScore}
-        });
+        record(stepNumber, `u = ${u} is GOAL. g(u) = ${gScore[u]} > cost = ${cost}. No update.`, u, null);
         stepNumber++;
       }
       
@@ -124,63 +140,83 @@ export function branchAndBound(graph, startState, goalState, heuristicFn, costFn
     
     // If f(u) > cost, skip this node
     if (fScore[u] > cost) {
-      steps.push({
-        step: stepNumber,
-        description: `f(${u}) = ${fScore[u]} > cost = ${cost}. Skip this node.`,
-        u,
-        neighbors: null,
-        L: [...L],
-        cost,
-        g: {...gScore},
-        f: {...fScore}
-      });
+      pruned++;
+      record(stepNumber, `f(${u}) = ${fScore[u]} > cost = ${cost}. Skip this node.`, u, null);
       stepNumber++;
       continue;
     }
     
+    // Give up when the expansion limit is reached, keeping the best path so far
+    if (expanded === problem.maxExpansions) {
+      record(
+        stepNumber,
+        `Reached the limit of ${problem.maxExpansions} expansions before u = ${u}. ` +
+          (bestPath.length > 0 ? `Best path so far has cost ${cost}.` : 'Search fails.'),
+        u,
+        null
+      );
+      return {
+        success: bestPath.length > 0,
+        steps,
+        path: bestPath,
+        limitReached: true,
+        metrics: metrics.result(bestPath.length > 0 ? cost : null, { pruned })
+      };
+    }
+    
     // Get all neighbors of u
-    const neighbors = graph[u] || [];
+    const successors = problem.successors(states[u]);
+    const neighbors = successors.map(({ state }) => problem.key(state));
+    expanded++;
+    metrics.expand(u);
     
     // Create L1 for neighbors
     let L1 = [];
     
     // Process all neighbors
-    for (const v of neighbors) {
+    successors.forEach(({ state, cost: edgeCost }, index) => {
+      const v = neighbors[index];
+      
       // Calculate g(v) = g(u) + k(u,v)
-      const tentativeGScore = gScore[u] + costFn(u, v);
+      const tentativeGScore = gScore[u] + edgeCost;
       
       // If v is not in gScore or if we found a better path to v
       if (!(v in gScore) || tentativeGScore < gScore[v]) {
         // Update path and scores
         cameFrom[v] = u;
+        states[v] = state;
         gScore[v] = tentativeGScore;
-        fScore[v] = gScore[v] + heuristicFn(v);
+        fScore[v] = gScore[v] + problem.heuristic(state);
+        gCopy = null;
         
         // Add v to L1
         L1.push(v);
       }
-    }
+    });
     
     // Sort L1 in ascending order by the values of f
     L1.sort((a, b) => fScore[a] - fScore[b]);
     
     // Insert L1 at the beginning of L
-    L = [...L1, ...L];
+    L1.forEach((v, index) => L.push({ key: v, batch: expansion, index }));
+    metrics.generate(L1.length);
+    metrics.frontier(L.size());
     
     // Add step for neighbors
-    steps.push({
-      step: stepNumber,
-      description: `Neighbors of ${u}: ${neighbors.join(', ')}. Update g and f values. Sort L1 by f values and insert at beginning of L.`,
+    record(
+      stepNumber,
+      `Neighbors of ${u}: ${neighbors.join(', ')}. Update g and f values. Sort L1 by f values and insert at beginning of L.`,
       u,
-      neighbors,
-      L: [...L],
-      cost,
-      g: {...gScore},
-      f: {...fScore}
-    });
+      neighbors
+    );
     stepNumber++;
   }
   
   // If we get here, return the best path found
-  return { success: bestPath.length > 0, steps, path: bestPath };
+  return {
+    success: bestPath.length > 0,
+    steps,
+    path: bestPath,
+    metrics: metrics.result(bestPath.length > 0 ? cost : null, { pruned })
+  };
 }
@@ -1,21 +1,35 @@
+import { toSearchProblem } from '../searchProblem';
+import { createMetricsTracker } from '../searchMetrics';
+
 /**
  * Implementation of Hill Climbing algorithm
  * 
- * @param {Object} graph - The graph representation
+ * @param {Object} graph - The graph representation, or a search problem
  * @param {string} startState - The starting node
  * @param {string} goalState - The goal node
  * @param {Function} heuristicFn - The heuristic function
  * @returns {Object} - The search result including steps and path
  */
 export function hillClimbing(graph, startState, goalState, heuristicFn) {
+  const problem = toSearchProblem(graph, startState, goalState, heuristicFn);
+  const startKey = problem.key(problem.initialState);
+  
+  // Keep track of the state behind every key in L
+  const states = { [startKey]: problem.initialState };
+  
   // Initialize the list with the start state
-  let L = [startState];
+  let L = [startKey];
+  
+  // Keep track of the statistics of the run
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.length);
   
   // Keep track of the steps for visualization
   const steps = [
     {
       step: 0,
-      description: `Initialization: L = {${startState}}`,
+      description: `Initialization: L = {${startKey}}`,
       u: null,
       neighbors: null,
       L: [...L]
@@ -24,7 +38,7 @@ export function hillClimbing(graph, startState, goalState, heuristicFn) {
   
   // Keep track of the path
   const cameFrom = {};
-  cameFrom[startState] = null;
+  cameFrom[startKey] = null;
   
   // Keep track of the step number
   let stepNumber = 1;
@@ -40,14 +54,14 @@ export function hillClimbing(graph, startState, goalState, heuristicFn) {
         neighbors: null,
         L: []
       });
-      return { success: false, steps, path: [] };
+      return { success: false, steps, path: [], metrics: metrics.result() };
     }
     
     // Get the first node from L
     const u = L.shift();
     
     // If u is the goal, search succeeds
-    if (u === goalState) {
+    if (problem.isGoal(states[u])) {
       steps.push({
         step: stepNumber,
         description: `u = ${u} is GOAL. Search succeeds.`,
@@ -64,11 +78,13 @@ export function hillClimbing(graph, startState, goalState, heuristicFn) {
         current = cameFrom[current];
       }
       
-      return { success: true, steps, path };
+      return { success: true, steps, path, metrics: metrics.result() };
     }
     
     // Get all neighbors of u
-    const neighbors = graph[u] || [];
+    const successors = problem.successors(states[u]);
+    const neighbors = successors.map(({ state }) => problem.key(state));
+    metrics.expand(u);
     
     // Add step for current node
     steps.push({
@@ -84,18 +100,22 @@ export function hillClimbing(graph, startState, goalState, heuristicFn) {
     let L1 = [];
     
     // Insert all neighbors into L1
-    for (const v of neighbors) {
+    successors.forEach(({ state }, index) => {
+      const v = neighbors[index];
       if (!(v in cameFrom)) {
         cameFrom[v] = u;
+        states[v] = state;
         L1.push(v);
       }
-    }
+    });
     
     // Sort L1 in ascending order by the heuristic function values
-    L1.sort((a, b) => heuristicFn(a) - heuristicFn(b));
+    L1.sort((a, b) => problem.heuristic(states[a]) - problem.heuristic(states[b]));
     
     // Insert L1 at the beginning of L
     L = [...L1, ...L];
+    metrics.generate(L1.length);
+    metrics.frontier(L.length);
     
     // Add step for neighbors
     steps.push({
@@ -117,5 +137,5 @@ export function hillClimbing(graph, startState, goalState, heuristicFn) {
     L: []
   });
   
-  return { success: false, steps, path: [] };
+  return { success: false, steps, path: [], metrics: metrics.result() };
 }
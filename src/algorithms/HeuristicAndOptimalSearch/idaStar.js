@@ -0,0 +1,180 @@
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of IDA* (Iterative Deepening A*) algorithm
+ *
+ * Runs repeated depth-first searches bounded by an f-threshold. Each iteration
+ * records the nodes whose f(n) exceeded the threshold; the smallest of those
+ * f values becomes the threshold of the next iteration.
+ *
+ * IDA* has no search modes (see searchModes.js): it only keeps the current
+ * path, which works like tree search that skips states already on the path.
+ * On graphs with many paths, such as grids, the work can grow exponentially,
+ * so the search gives up after maxExpansions expansions over all iterations.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function h(n)
+ * @param {Function} costFn - The cost function k(u,v)
+ * @param {number} [maxExpansions=1000] - The number of expansions after which the search gives up
+ * @returns {Object} - The search result including steps and path
+ */
+export function idaStar(graph, startState, goalState, heuristicFn, costFn, maxExpansions = 1000) {
+  // The first threshold is f(start) = h(start)
+  let threshold = heuristicFn(startState);
+
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: threshold = f(${startState}) = ${threshold}`,
+      u: null,
+      neighbors: null,
+      L: [startState],
+      g: { [startState]: 0 },
+      f: { [startState]: threshold },
+      iteration: 0,
+      threshold,
+      cutoff: [],
+      nextThreshold: null
+    }
+  ];
+
+  // Keep track of the step number
+  let stepNumber = 1;
+
+  // Keep track of the iteration number
+  let iteration = 0;
+
+  // Keep track of the statistics of the run over all iterations
+  const metrics = createMetricsTracker();
+
+  // Per-iteration state, reset at the start of every iteration
+  let path;
+  let gScore;
+  let fScore;
+  let cutoff;
+  let nextThreshold;
+
+  // Number of expansions over all iterations, and whether it hit maxExpansions
+  let expansions = 0;
+  let limitReached = false;
+
+  const pushStep = (description, u, neighbors) => {
+    steps.push({
+      step: stepNumber,
+      description,
+      u,
+      neighbors,
+      L: [...path],
+      g: {...gScore},
+      f: {...fScore},
+      iteration,
+      threshold,
+      cutoff: [...cutoff],
+      nextThreshold
+    });
+    stepNumber++;
+  };
+
+  // Depth-first search from the last node of path, bounded by threshold.
+  // Returns true when the goal is reached.
+  const search = (u) => {
+    // If u is the goal, search succeeds
+    if (u === goalState) {
+      pushStep(`u = ${u} is GOAL. Search succeeds.`, u, null);
+      return true;
+    }
+
+    // Give up when the expansion limit is reached
+    if (expansions === maxExpansions) {
+      limitReached = true;
+      return false;
+    }
+
+    // Get all neighbors of u
+    const neighbors = graph[u] || [];
+    expansions++;
+    metrics.expand(u);
+
+    pushStep(`u = ${u}, f(${u}) = ${fScore[u]} <= threshold = ${threshold}. Expand ${u}.`, u, neighbors);
+
+    for (const v of neighbors) {
+      // Skip nodes already on the current path to avoid cycles
+      if (path.includes(v)) {
+        continue;
+      }
+
+      // Calculate g(v) = g(u) + k(u,v) and f(v) = g(v) + h(v)
+      gScore[v] = gScore[u] + costFn(u, v);
+      fScore[v] = gScore[v] + heuristicFn(v);
+      metrics.generate();
+
+      // If f(v) exceeds the threshold, cut v off and remember the smallest such f
+      if (fScore[v] > threshold) {
+        cutoff.push(v);
+        nextThreshold = Math.min(nextThreshold, fScore[v]);
+        pushStep(`f(${v}) = ${fScore[v]} > threshold = ${threshold}. Cut off ${v}.`, u, null);
+        continue;
+      }
+
+      path.push(v);
+      metrics.frontier(path.length);
+      if (search(v)) {
+        return true;
+      }
+      if (limitReached) {
+        return false;
+      }
+      path.pop();
+
+      pushStep(`Backtrack from ${v} to ${u}.`, u, null);
+    }
+
+    return false;
+  };
+
+  // Loop until the goal is found or no node was cut off
+  while (true) {
+    iteration++;
+    path = [startState];
+    gScore = { [startState]: 0 };
+    fScore = { [startState]: heuristicFn(startState) };
+    cutoff = [];
+    nextThreshold = Infinity;
+    metrics.generate();
+    metrics.frontier(path.length);
+
+    pushStep(`Iteration ${iteration}: threshold = ${threshold}. L = {${startState}}`, null, null);
+
+    if (fScore[startState] <= threshold && search(startState)) {
+      return { success: true, steps, path: [...path], metrics: metrics.result(gScore[goalState]) };
+    }
+
+    if (limitReached) {
+      pushStep(`Reached the limit of ${maxExpansions} expansions before u = ${path[path.length - 1]}. Search fails.`, null, null);
+      return { success: false, steps, path: [], limitReached, metrics: metrics.result() };
+    }
+
+    // If nothing was cut off, the whole reachable graph was explored; if every
+    // cut-off node has f = ∞ (no h), no finite threshold can reach them
+    if (nextThreshold === Infinity) {
+      pushStep(
+        cutoff.length === 0
+          ? `Iteration ${iteration} finished with no cut-off nodes. Search fails.`
+          : `Iteration ${iteration} finished. Cut off: ${cutoff.join(', ')}, but every cut-off node has f = ∞. Search fails.`,
+        null,
+        null
+      );
+      return { success: false, steps, path: [], metrics: metrics.result() };
+    }
+
+    pushStep(
+      `Iteration ${iteration} finished. Cut off: ${cutoff.join(', ')}. Next threshold = min f of cut-off nodes = ${nextThreshold}.`,
+      null,
+      null
+    );
+    threshold = nextThreshold;
+  }
+}
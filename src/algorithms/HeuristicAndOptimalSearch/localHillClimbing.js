@@ -0,0 +1,240 @@
+import { createRandom, randomChoice, shuffle } from '../seededRandom';
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of classic (local) Hill Climbing and its variants
+ *
+ * Only the current node is kept. The search moves to a neighbor with a
+ * strictly lower h and stops when no neighbor improves h:
+ * - 'plateau': the best neighbor has the same h as the current node
+ * - 'localOptimum': every neighbor has a higher h (or there are no neighbors)
+ *
+ * Variants:
+ * - 'steepest': move to the neighbor with the lowest h
+ * - 'stochastic': move to a random improving neighbor
+ * - 'firstChoice': try neighbors in random order and take the first improving one
+ * - 'randomRestart': steepest-ascent climbs, restarting from a random node on failure
+ *
+ * A climb that reaches the goal after a restart gives a path from the random
+ * node, not from the start. The result then names that node in restartFrom.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {Object} [options] - The variant options
+ * @param {string} [options.variant='steepest'] - The hill climbing variant
+ * @param {number} [options.seed=1] - The seed of the random number generator
+ * @param {number} [options.maxRestarts=10] - The number of restarts for 'randomRestart'
+ * @returns {Object} - The search result including steps and path, and
+ *   restartFrom when the path starts at a random restart node
+ */
+export function localHillClimbing(graph, startState, goalState, heuristicFn, options = {}) {
+  const { variant = 'steepest', seed = 1, maxRestarts = 10 } = options;
+  const random = createRandom(seed);
+  const nodes = Object.keys(graph);
+
+  // Keep track of the steps for visualization
+  const steps = [];
+
+  // Keep track of the step number
+  let stepNumber = 0;
+
+  // Keep track of the restart number
+  let restart = 0;
+
+  // Keep track of the statistics of the run; L only ever holds the current node
+  const metrics = createMetricsTracker();
+
+  const pushStep = (description, u, neighbors, status) => {
+    const h = {};
+    for (const node of [u, ...(neighbors || [])]) {
+      if (node !== null) {
+        h[node] = heuristicFn(node);
+      }
+    }
+
+    steps.push({
+      step: stepNumber,
+      description,
+      u,
+      neighbors,
+      L: u === null ? [] : [u],
+      h,
+      status,
+      restart: variant === 'randomRestart' ? restart : undefined
+    });
+    stepNumber++;
+  };
+
+  // Pick the next node from u according to the variant. Returns the chosen
+  // neighbor (or null) and a short explanation of the choice.
+  const chooseNext = (u, neighbors) => {
+    const hU = heuristicFn(u);
+    const improving = neighbors.filter(v => heuristicFn(v) < hU);
+
+    if (variant === 'stochastic') {
+      if (improving.length === 0) {
+        return { next: null, reason: '' };
+      }
+      const next = randomChoice(improving, random);
+      return { next, reason: `Improving neighbors: ${improving.join(', ')}. Randomly chose ${next}.` };
+    }
+
+    if (variant === 'firstChoice') {
+      const order = shuffle(neighbors, random);
+      const next = order.find(v => heuristicFn(v) < hU) ?? null;
+      return {
+        next,
+        reason: next === null ? '' : `Tried neighbors in random order ${order.join(', ')}. First improving: ${next}.`
+      };
+    }
+
+    // Steepest ascent: the neighbor with the lowest h, if it improves on u
+    const best = neighbors.reduce(
+      (bestSoFar, v) => (bestSoFar === null || heuristicFn(v) < heuristicFn(bestSoFar) ? v : bestSoFar),
+      null
+    );
+    if (best === null || heuristicFn(best) >= hU) {
+      return { next: null, reason: '' };
+    }
+    return { next: best, reason: `Best neighbor: ${best} (h = ${heuristicFn(best)}).` };
+  };
+
+  // Climb from a node until the goal, a plateau or a local optimum is reached
+  const climb = (from) => {
+    const path = [from];
+    let u = from;
+    metrics.generate();
+    metrics.frontier(1);
+
+    while (true) {
+      // If u is the goal, search succeeds
+      if (u === goalState) {
+        pushStep(
+          from === startState
+            ? `u = ${u} is GOAL. Search succeeds.`
+            : `u = ${u} is GOAL, reached from the restart node ${from}. The path starts there, not at ${startState}.`,
+          u,
+          null,
+          'goal'
+        );
+        return path;
+      }
+
+      // Get all neighbors of u
+      const neighbors = graph[u] || [];
+      const hU = heuristicFn(u);
+      metrics.expand(u);
+      metrics.generate(neighbors.length);
+      const { next, reason } = chooseNext(u, neighbors);
+
+      if (next === null) {
+        // Nothing improves h: tell a plateau apart from a strict local optimum
+        const hasEqualNeighbor = neighbors.some(v => heuristicFn(v) === hU);
+        if (hasEqualNeighbor) {
+          pushStep(
+            `u = ${u} (h = ${hU}). No neighbor has a lower h, but some have the same h. Stuck on a PLATEAU.`,
+            u,
+            neighbors,
+            'plateau'
+          );
+        } else {
+          pushStep(
+            neighbors.length === 0
+              ? `u = ${u} (h = ${hU}) has no neighbors. Stuck at a LOCAL OPTIMUM.`
+              : `u = ${u} (h = ${hU}). Every neighbor has a higher h. Stuck at a LOCAL OPTIMUM.`,
+            u,
+            neighbors,
+            'localOptimum'
+          );
+        }
+        return null;
+      }
+
+      pushStep(`u = ${u} (h = ${hU}). ${reason} Move to ${next}.`, u, neighbors, 'move');
+      path.push(next);
+      u = next;
+    }
+  };
+
+  pushStep(`Initialization: current = ${startState}`, startState, null, 'start');
+
+  let path = climb(startState);
+
+  // Random restart: climb again from random nodes until the goal is found
+  while (path === null && variant === 'randomRestart' && restart < maxRestarts && nodes.length > 0) {
+    restart++;
+    const from = randomChoice(nodes, random);
+    pushStep(`Restart ${restart}: jump to random node ${from}.`, from, null, 'restart');
+    path = climb(from);
+  }
+
+  if (path !== null) {
+    return path[0] === startState
+      ? { success: true, steps, path, metrics: metrics.result() }
+      : { success: true, steps, path, restartFrom: path[0], metrics: metrics.result() };
+  }
+
+  pushStep("No improving move left. Search fails.", null, null, 'fail');
+
+  return { success: false, steps, path: [], metrics: metrics.result() };
+}
+
+/**
+ * Steepest-Ascent Hill Climbing: always move to the best neighbor
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @returns {Object} - The search result including steps and path
+ */
+export function steepestAscentHillClimbing(graph, startState, goalState, heuristicFn) {
+  return localHillClimbing(graph, startState, goalState, heuristicFn, { variant: 'steepest' });
+}
+
+/**
+ * Stochastic Hill Climbing: move to a random improving neighbor
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {number} seed - The seed of the random number generator
+ * @returns {Object} - The search result including steps and path
+ */
+export function stochasticHillClimbing(graph, startState, goalState, heuristicFn, seed) {
+  return localHillClimbing(graph, startState, goalState, heuristicFn, { variant: 'stochastic', seed });
+}
+
+/**
+ * First-Choice Hill Climbing: take the first improving neighbor in random order
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {number} seed - The seed of the random number generator
+ * @returns {Object} - The search result including steps and path
+ */
+export function firstChoiceHillClimbing(graph, startState, goalState, heuristicFn, seed) {
+  return localHillClimbing(graph, startState, goalState, heuristicFn, { variant: 'firstChoice', seed });
+}
+
+/**
+ * Random-Restart Hill Climbing: steepest-ascent climbs from random nodes
+ *
+ * A path found after a restart starts at the restart node, given as restartFrom.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {number} seed - The seed of the random number generator
+ * @param {number} [maxRestarts=10] - The maximum number of restarts
+ * @returns {Object} - The search result including steps and path
+ */
+export function randomRestartHillClimbing(graph, startState, goalState, heuristicFn, seed, maxRestarts = 10) {
+  return localHillClimbing(graph, startState, goalState, heuristicFn, { variant: 'randomRestart', seed, maxRestarts });
+}
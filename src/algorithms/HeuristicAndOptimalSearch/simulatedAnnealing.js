@@ -0,0 +1,190 @@
+import { createRandom, randomChoice } from '../seededRandom';
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Temperature schedules T(t) for simulated annealing
+ */
+export const TEMPERATURE_SCHEDULES = {
+  // T(t) = T0 · (1 - t / maxIterations)
+  linear: (initialTemperature, t, maxIterations) => initialTemperature * (1 - t / maxIterations),
+  // T(t) = T0 · 0.9^t
+  exponential: (initialTemperature, t) => initialTemperature * Math.pow(0.9, t),
+  // T(t) = T0 / ln(t + e)
+  logarithmic: (initialTemperature, t) => initialTemperature / Math.log(t + Math.E)
+};
+
+/**
+ * Implementation of Simulated Annealing algorithm
+ *
+ * Treats h as the energy to minimize. At each iteration a random neighbor is
+ * picked as the candidate. It is always accepted when ΔE = h(candidate) - h(u)
+ * is negative, and otherwise with probability e^(-ΔE / T).
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} heuristicFn - The heuristic function
+ * @param {Object} [options] - The annealing options
+ * @param {string} [options.schedule='exponential'] - 'linear', 'exponential' or 'logarithmic'
+ * @param {number} [options.initialTemperature=10] - The starting temperature T0
+ * @param {number} [options.maxIterations=100] - The maximum number of iterations
+ * @param {number} [options.seed=1] - The seed of the random number generator
+ * @returns {Object} - The search result including steps and path
+ */
+export function simulatedAnnealing(graph, startState, goalState, heuristicFn, options = {}) {
+  const {
+    schedule = 'exponential',
+    initialTemperature = 10,
+    maxIterations = 100,
+    seed = 1
+  } = options;
+  const temperatureFn = TEMPERATURE_SCHEDULES[schedule];
+  const random = createRandom(seed);
+
+  // The current node and the path walked to reach it, without loops
+  let u = startState;
+  const path = [startState];
+
+  // Keep track of the statistics of the run; every iteration generates one candidate
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(1);
+
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: current = ${startState}, T0 = ${initialTemperature}, ${schedule} schedule`,
+      u: startState,
+      neighbors: null,
+      L: [startState],
+      h: { [startState]: heuristicFn(startState) },
+      temperature: initialTemperature,
+      candidate: null,
+      deltaE: null,
+      acceptanceProbability: null,
+      accepted: null
+    }
+  ];
+
+  // Keep track of the step number
+  let stepNumber = 1;
+
+  for (let t = 0; t < maxIterations; t++) {
+    // If u is the goal, search succeeds
+    if (u === goalState) {
+      steps.push({
+        step: stepNumber,
+        description: `u = ${u} is GOAL. Search succeeds.`,
+        u,
+        neighbors: null,
+        L: [u],
+        h: { [u]: heuristicFn(u) },
+        temperature: temperatureFn(initialTemperature, t, maxIterations),
+        candidate: null,
+        deltaE: null,
+        acceptanceProbability: null,
+        accepted: null
+      });
+      return { success: true, steps, path: [...path], metrics: metrics.result() };
+    }
+
+    const temperature = temperatureFn(initialTemperature, t, maxIterations);
+    const neighbors = graph[u] || [];
+
+    // Stop when the system is frozen or u is a dead end
+    if (temperature <= 1e-6 || neighbors.length === 0) {
+      steps.push({
+        step: stepNumber,
+        description: neighbors.length === 0
+          ? `u = ${u} has no neighbors. Search fails.`
+          : `T = ${temperature.toFixed(3)} reached 0. Search fails.`,
+        u,
+        neighbors: null,
+        L: [u],
+        h: { [u]: heuristicFn(u) },
+        temperature,
+        candidate: null,
+        deltaE: null,
+        acceptanceProbability: null,
+        accepted: null
+      });
+      return { success: false, steps, path: [], metrics: metrics.result() };
+    }
+
+    // Pick a random neighbor and compute ΔE and the acceptance probability
+    const candidate = randomChoice(neighbors, random);
+    metrics.expand(u);
+    metrics.generate();
+    const deltaE = heuristicFn(candidate) - heuristicFn(u);
+    const acceptanceProbability = deltaE < 0 ? 1 : Math.exp(-deltaE / temperature);
+    const accepted = deltaE < 0 || random() < acceptanceProbability;
+
+    const h = { [u]: heuristicFn(u) };
+    for (const v of neighbors) {
+      h[v] = heuristicFn(v);
+    }
+
+    steps.push({
+      step: stepNumber,
+      description: `u = ${u}, T = ${temperature.toFixed(3)}. Candidate ${candidate}: ΔE = ${deltaE}, ` +
+        `P(accept) = ${acceptanceProbability.toFixed(3)}. ${accepted ? `Accept and move to ${candidate}.` : 'Reject and stay.'}`,
+      u,
+      neighbors,
+      L: [u],
+      h,
+      temperature,
+      candidate,
+      deltaE,
+      acceptanceProbability,
+      accepted
+    });
+    stepNumber++;
+
+    if (accepted) {
+      // Cut the loop when the walk returns to a node already on the path
+      const index = path.indexOf(candidate);
+      if (index !== -1) {
+        path.length = index + 1;
+      } else {
+        path.push(candidate);
+      }
+      u = candidate;
+    }
+  }
+
+  // The goal may have been reached on the last iteration
+  if (u === goalState) {
+    steps.push({
+      step: stepNumber,
+      description: `u = ${u} is GOAL. Search succeeds.`,
+      u,
+      neighbors: null,
+      L: [u],
+      h: { [u]: heuristicFn(u) },
+      temperature: temperatureFn(initialTemperature, maxIterations, maxIterations),
+      candidate: null,
+      deltaE: null,
+      acceptanceProbability: null,
+      accepted: null
+    });
+    return { success: true, steps, path: [...path], metrics: metrics.result() };
+  }
+
+  // If we get here, search fails
+  steps.push({
+    step: stepNumber,
+    description: `Reached the maximum of ${maxIterations} iterations. Search fails.`,
+    u,
+    neighbors: null,
+    L: [u],
+    h: { [u]: heuristicFn(u) },
+    temperature: temperatureFn(initialTemperature, maxIterations, maxIterations),
+    candidate: null,
+    deltaE: null,
+    acceptanceProbability: null,
+    accepted: null
+  });
+
+  return { success: false, steps, path: [], metrics: metrics.result() };
+}
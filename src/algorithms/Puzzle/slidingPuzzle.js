@@ -0,0 +1,256 @@
+import { createRandom, randomChoice } from '../seededRandom';
+
+/**
+ * Sliding tile puzzle (8-puzzle, 15-puzzle) domain
+ *
+ * A board is a flat array of size × size tiles in row-major order, with 0 as
+ * the blank. The goal board is 1, 2, ..., size² - 1 followed by the blank.
+ */
+
+/**
+ * Create the goal board of a puzzle
+ *
+ * @param {number} size - The width of the board (3 for the 8-puzzle)
+ * @returns {Array} - The goal board
+ */
+export function createGoalBoard(size) {
+  const board = [];
+  for (let i = 1; i < size * size; i++) {
+    board.push(i);
+  }
+  board.push(0);
+  return board;
+}
+
+/**
+ * Convert a board to the state key used in L and the trace
+ *
+ * @param {Array} board - The board
+ * @returns {string} - The tiles joined by commas
+ */
+export function boardToKey(board) {
+  return board.join(',');
+}
+
+/**
+ * Convert a state key back to a board
+ *
+ * @param {string} key - The state key
+ * @returns {Array} - The board
+ */
+export function keyToBoard(key) {
+  return key.split(',').map(Number);
+}
+
+/**
+ * Get the boards reachable by sliding one tile into the blank
+ *
+ * @param {Array} board - The board
+ * @param {number} size - The width of the board
+ * @returns {Array} - The neighboring boards
+ */
+export function getNeighborBoards(board, size) {
+  const blank = board.indexOf(0);
+  const row = Math.floor(blank / size);
+  const col = blank % size;
+  const neighbors = [];
+
+  // Move the blank up, down, left and right
+  const moves = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  for (const [dr, dc] of moves) {
+    const r = row + dr;
+    const c = col + dc;
+    if (r >= 0 && r < size && c >= 0 && c < size) {
+      const next = [...board];
+      next[blank] = next[r * size + c];
+      next[r * size + c] = 0;
+      neighbors.push(next);
+    }
+  }
+
+  return neighbors;
+}
+
+/**
+ * Check whether a board can reach the goal board
+ *
+ * Counts inversions among the tiles. On odd widths the board is solvable when
+ * the count is even. On even widths the row of the blank, counted from the
+ * bottom starting at 1, is added and the sum must be odd.
+ *
+ * @param {Array} board - The board
+ * @param {number} size - The width of the board
+ * @returns {boolean} - True if the board is solvable
+ */
+export function isSolvable(board, size) {
+  const tiles = board.filter(tile => tile !== 0);
+  let inversions = 0;
+  for (let i = 0; i < tiles.length; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      if (tiles[i] > tiles[j]) {
+        inversions++;
+      }
+    }
+  }
+
+  if (size % 2 === 1) {
+    return inversions % 2 === 0;
+  }
+
+  const blankRowFromBottom = size - Math.floor(board.indexOf(0) / size);
+  return (inversions + blankRowFromBottom) % 2 === 1;
+}
+
+/**
+ * Scramble the goal board with a random walk of the blank
+ *
+ * The walk never immediately undoes its previous move, so the result is
+ * always solvable and usually about `moves` moves away from the goal.
+ *
+ * @param {number} size - The width of the board
+ * @param {number} moves - The number of random moves
+ * @param {number} seed - The seed of the random number generator
+ * @returns {Array} - The scrambled board
+ */
+export function scrambleBoard(size, moves, seed) {
+  const random = createRandom(seed);
+  let board = createGoalBoard(size);
+  let previousKey = null;
+
+  for (let i = 0; i < moves; i++) {
+    const candidates = getNeighborBoards(board, size).filter(next => boardToKey(next) !== previousKey);
+    previousKey = boardToKey(board);
+    board = randomChoice(candidates, random);
+  }
+
+  return board;
+}
+
+/**
+ * Misplaced tiles heuristic: the number of tiles not on their goal square
+ *
+ * @param {Array} board - The board
+ * @returns {number} - The heuristic value
+ */
+export function misplacedTiles(board) {
+  let count = 0;
+  board.forEach((tile, index) => {
+    if (tile !== 0 && tile !== index + 1) {
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * Manhattan distance heuristic: the sum of the row and column distances of
+ * every tile to its goal square
+ *
+ * @param {Array} board - The board
+ * @param {number} size - The width of the board
+ * @returns {number} - The heuristic value
+ */
+export function manhattanDistance(board, size) {
+  let distance = 0;
+  board.forEach((tile, index) => {
+    if (tile !== 0) {
+      const goalIndex = tile - 1;
+      distance += Math.abs(Math.floor(index / size) - Math.floor(goalIndex / size)) +
+        Math.abs((index % size) - (goalIndex % size));
+    }
+  });
+  return distance;
+}
+
+// Count the moves a line of tiles needs beyond Manhattan distance. `tiles`
+// lists, in board order, the goal positions along the line of the tiles that
+// belong to it. The tile with the most conflicts is removed until none are
+// left, and each removal costs two extra moves.
+function lineConflictCost(tiles) {
+  const remaining = [...tiles];
+  let cost = 0;
+
+  while (true) {
+    const conflicts = remaining.map((goal, i) =>
+      remaining.filter((other, j) => (j < i && other > goal) || (j > i && other < goal)).length
+    );
+    const most = Math.max(0, ...conflicts);
+    if (most === 0) {
+      return cost;
+    }
+    remaining.splice(conflicts.indexOf(most), 1);
+    cost += 2;
+  }
+}
+
+/**
+ * Linear conflict heuristic: Manhattan distance plus two moves for every tile
+ * that must leave its goal row or column to let another tile pass
+ *
+ * @param {Array} board - The board
+ * @param {number} size - The width of the board
+ * @returns {number} - The heuristic value
+ */
+export function linearConflict(board, size) {
+  let extra = 0;
+
+  for (let line = 0; line < size; line++) {
+    const rowTiles = [];
+    const colTiles = [];
+    for (let i = 0; i < size; i++) {
+      // Tiles in this row whose goal is in this row, by goal column
+      const rowTile = board[line * size + i];
+      if (rowTile !== 0 && Math.floor((rowTile - 1) / size) === line) {
+        rowTiles.push((rowTile - 1) % size);
+      }
+      // Tiles in this column whose goal is in this column, by goal row
+      const colTile = board[i * size + line];
+      if (colTile !== 0 && (colTile - 1) % size === line) {
+        colTiles.push(Math.floor((colTile - 1) / size));
+      }
+    }
+    extra += lineConflictCost(rowTiles) + lineConflictCost(colTiles);
+  }
+
+  return manhattanDistance(board, size) + extra;
+}
+
+/**
+ * Available puzzle heuristics
+ */
+export const PUZZLE_HEURISTICS = {
+  misplacedTiles: { name: 'Misplaced tiles', fn: misplacedTiles },
+  manhattanDistance: { name: 'Manhattan distance', fn: manhattanDistance },
+  linearConflict: { name: 'Linear conflict', fn: linearConflict }
+};
+
+/**
+ * The number of expansions after which a puzzle search gives up
+ *
+ * The trace keeps L, CLOSED and the g and f values at every step, so its size
+ * grows with the square of the expansions; about a second of search in the
+ * browser. Boards more than about 20 moves from the goal can need more.
+ */
+export const PUZZLE_MAX_EXPANSIONS = 800;
+
+/**
+ * Create the search problem for a sliding tile puzzle
+ *
+ * @param {Array} board - The initial board
+ * @param {number} size - The width of the board
+ * @param {string} heuristicName - A key of PUZZLE_HEURISTICS
+ * @returns {Object} - The search problem
+ */
+export function createPuzzleProblem(board, size, heuristicName) {
+  const goalKey = boardToKey(createGoalBoard(size));
+  const heuristic = PUZZLE_HEURISTICS[heuristicName].fn;
+
+  return {
+    initialState: board,
+    successors: (state) => getNeighborBoards(state, size).map(next => ({ state: next, cost: 1 })),
+    isGoal: (state) => boardToKey(state) === goalKey,
+    key: boardToKey,
+    heuristic: (state) => heuristic(state, size),
+    maxExpansions: PUZZLE_MAX_EXPANSIONS
+  };
+}
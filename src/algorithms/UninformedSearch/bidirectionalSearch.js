@@ -0,0 +1,159 @@
+import { buildReverseGraph } from '../graphUtils';
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of Bidirectional Breadth-First Search algorithm
+ *
+ * Expands one breadth-first layer at a time, alternating between a forward
+ * search from the start and a backward search from the goal over the reverse
+ * graph. When a node is reached from both sides, the search still finishes
+ * the current layer and keeps the meeting node with the fewest edges from
+ * start to goal, so the path is a shortest one in edges.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @returns {Object} - The search result including steps and path
+ */
+export function bidirectionalSearch(graph, startState, goalState) {
+  // Build the reverse adjacency for the backward search
+  const reverseGraph = buildReverseGraph(graph);
+
+  // Initialize both frontiers
+  const forwardL = [startState];
+  const backwardL = [goalState];
+
+  // Keep track of the path and the depth in both directions
+  const cameFromForward = { [startState]: null };
+  const cameFromBackward = { [goalState]: null };
+  const depthForward = { [startState]: 0 };
+  const depthBackward = { [goalState]: 0 };
+
+  // Keep track of the statistics of the run; L is both frontiers together
+  const metrics = createMetricsTracker();
+  metrics.generate(2);
+  metrics.frontier(2);
+
+  // The node where both searches meet, and the number of edges of the path through it
+  let meetingNode = startState === goalState ? startState : null;
+  let meetingLength = 0;
+
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: forward L = {${startState}}, backward L = {${goalState}}`,
+      u: null,
+      neighbors: null,
+      L: [...forwardL],
+      forwardL: [...forwardL],
+      backwardL: [...backwardL],
+      direction: null,
+      meetingNode
+    }
+  ];
+
+  // Keep track of the step number
+  let stepNumber = 1;
+
+  const pushStep = (description, u, neighbors, direction) => {
+    steps.push({
+      step: stepNumber,
+      description,
+      u,
+      neighbors,
+      L: [...forwardL],
+      forwardL: [...forwardL],
+      backwardL: [...backwardL],
+      direction,
+      meetingNode
+    });
+    stepNumber++;
+  };
+
+  // Join the forward path start → meetingNode and the backward path meetingNode → goal
+  const buildPath = () => {
+    const path = [];
+    let current = meetingNode;
+    while (current !== null) {
+      path.unshift(current);
+      current = cameFromForward[current];
+    }
+    current = cameFromBackward[meetingNode];
+    while (current !== null) {
+      path.push(current);
+      current = cameFromBackward[current];
+    }
+    return path;
+  };
+
+  let direction = 'forward';
+
+  // Loop until the searches meet or one of the frontiers is empty
+  while (meetingNode === null && forwardL.length > 0 && backwardL.length > 0) {
+    const isForward = direction === 'forward';
+    const frontier = isForward ? forwardL : backwardL;
+    const adjacency = isForward ? graph : reverseGraph;
+    const ownCameFrom = isForward ? cameFromForward : cameFromBackward;
+    const otherCameFrom = isForward ? cameFromBackward : cameFromForward;
+    const ownDepth = isForward ? depthForward : depthBackward;
+    const otherDepth = isForward ? depthBackward : depthForward;
+    const label = isForward ? 'Forward' : 'Backward';
+
+    // Expand every node of the current layer of this frontier, also after
+    // the searches meet, to find the shortest path through the layer
+    const layerSize = frontier.length;
+    for (let i = 0; i < layerSize; i++) {
+      const u = frontier.shift();
+      const neighbors = adjacency[u] || [];
+      metrics.expand(`${direction}:${u}`);
+
+      pushStep(`${label}: u = ${u}`, u, null, direction);
+
+      // Append unvisited neighbors to the end of this frontier
+      const met = [];
+      for (const v of neighbors) {
+        if (!(v in ownCameFrom)) {
+          ownCameFrom[v] = u;
+          ownDepth[v] = ownDepth[u] + 1;
+          frontier.push(v);
+          metrics.generate();
+          metrics.frontier(forwardL.length + backwardL.length);
+
+          // If the other search has already reached v, the searches meet;
+          // keep the meeting node of the shortest path
+          if (v in otherCameFrom) {
+            met.push(v);
+            const length = ownDepth[v] + otherDepth[v];
+            if (meetingNode === null || length < meetingLength) {
+              meetingNode = v;
+              meetingLength = length;
+            }
+          }
+        }
+      }
+
+      pushStep(
+        met.length === 0
+          ? `${label}: neighbors of ${u}: ${neighbors.join(', ')}. Append new neighbors to the end of ${label.toLowerCase()} L.`
+          : `${label}: neighbors of ${u}: ${neighbors.join(', ')}. ${met.join(', ')} already reached by the other search. ` +
+            `Shortest meeting so far: ${meetingNode} (${meetingLength} edges).`,
+        u,
+        neighbors,
+        direction
+      );
+    }
+
+    direction = isForward ? 'backward' : 'forward';
+  }
+
+  if (meetingNode !== null) {
+    pushStep(`Searches meet at ${meetingNode}, path of ${meetingLength} edges. Search succeeds.`, meetingNode, null, null);
+    return { success: true, steps, path: buildPath(), meetingNode, metrics: metrics.result() };
+  }
+
+  // If we get here, search fails
+  pushStep(`${forwardL.length === 0 ? 'Forward' : 'Backward'} L is empty. Search fails.`, null, null, null);
+
+  return { success: false, steps, path: [], meetingNode: null, metrics: metrics.result() };
+}
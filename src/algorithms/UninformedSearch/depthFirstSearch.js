@@ -0,0 +1,115 @@
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of Depth-First Search algorithm
+ * 
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @returns {Object} - The search result including steps and path
+ */
+export function depthFirstSearch(graph, startState, goalState) {
+  // Initialize the stack with the start state
+  let L = [startState];
+  
+  // Keep track of the statistics of the run
+  const metrics = createMetricsTracker();
+  metrics.generate();
+  metrics.frontier(L.length);
+  
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: L = {${startState}}`,
+      u: null,
+      neighbors: null,
+      L: [...L]
+    }
+  ];
+  
+  // Keep track of the path
+  const cameFrom = {};
+  cameFrom[startState] = null;
+  
+  // Keep track of the step number
+  let stepNumber = 1;
+  
+  // Loop until L is empty or goal is found
+  while (L.length > 0) {
+    // Get the first node from L
+    const u = L.shift();
+    
+    // If u is the goal, search succeeds
+    if (u === goalState) {
+      steps.push({
+        step: stepNumber,
+        description: `u = ${u} is GOAL. Search succeeds.`,
+        u,
+        neighbors: null,
+        L: [...L]
+      });
+      
+      // Reconstruct the path
+      const path = [];
+      let current = u;
+      while (current !== null) {
+        path.unshift(current);
+        current = cameFrom[current];
+      }
+      
+      return { success: true, steps, path, metrics: metrics.result() };
+    }
+    
+    // Get all neighbors of u
+    const neighbors = graph[u] || [];
+    metrics.expand(u);
+    
+    // Add step for current node
+    steps.push({
+      step: stepNumber,
+      description: `u = ${u}`,
+      u,
+      neighbors: null,
+      L: [...L]
+    });
+    stepNumber++;
+    
+    // Create L1 for neighbors
+    let L1 = [];
+    
+    // Insert unvisited neighbors into L1
+    for (const v of neighbors) {
+      if (!(v in cameFrom)) {
+        cameFrom[v] = u;
+        L1.push(v);
+      }
+    }
+    
+    // Insert L1 at the beginning of L (LIFO)
+    L = [...L1, ...L];
+    metrics.generate(L1.length);
+    metrics.frontier(L.length);
+    
+    // Add step for neighbors
+    steps.push({
+      step: stepNumber,
+      description: `Neighbors of ${u}: ${neighbors.join(', ')}. Insert new neighbors at the beginning of L.`,
+      u,
+      neighbors,
+      L: [...L]
+    });
+    stepNumber++;
+  }
+  
+  // If we get here, search fails
+  steps.push({
+    step: stepNumber,
+    description: "L is empty. Search fails.",
+    u: null,
+    neighbors: null,
+    L: []
+  });
+  
+  return { success: false, steps, path: [], metrics: metrics.result() };
+}
@@ -0,0 +1,155 @@
+import { createMetricsTracker } from '../searchMetrics';
+
+/**
+ * Implementation of Iterative Deepening Depth-First Search algorithm
+ *
+ * Runs depth-limited depth-first searches with limits 0, 1, 2, ... L holds
+ * the recursion stack, so memory grows with the depth limit only.
+ *
+ * The cycle check only looks at the current path, so the number of paths
+ * explored can grow exponentially with the depth limit, e.g. on a grid. The
+ * search gives up after maxExpansions expansions over all iterations.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {number} [maxExpansions=1000] - The number of expansions after which the search gives up
+ * @returns {Object} - The search result including steps and path
+ */
+export function iterativeDeepeningSearch(graph, startState, goalState, maxExpansions = 1000) {
+  // Keep track of the steps for visualization
+  const steps = [
+    {
+      step: 0,
+      description: `Initialization: depth limit = 0, L = {${startState}}`,
+      u: null,
+      neighbors: null,
+      L: [startState],
+      iteration: 0,
+      depthLimit: 0,
+      cutoff: []
+    }
+  ];
+
+  // Keep track of the step number
+  let stepNumber = 1;
+
+  // Keep track of the statistics of the run over all iterations
+  const metrics = createMetricsTracker();
+
+  // Per-iteration state, reset at the start of every iteration
+  let iteration = 0;
+  let depthLimit = 0;
+  let stack;
+  let cutoff;
+
+  // Number of expansions over all iterations, and whether it hit maxExpansions
+  let expansions = 0;
+  let limitReached = false;
+
+  // The cutoff list only grows during an iteration, so steps share one copy
+  // of it until it changes
+  let cutoffCopy = [];
+
+  const pushStep = (description, u, neighbors) => {
+    if (cutoffCopy.length !== cutoff.length) {
+      cutoffCopy = [...cutoff];
+    }
+    steps.push({
+      step: stepNumber,
+      description,
+      u,
+      neighbors,
+      L: [...stack],
+      iteration,
+      depthLimit,
+      cutoff: cutoffCopy
+    });
+    stepNumber++;
+  };
+
+  // Depth-limited search from the top of the stack. Returns true when the goal is reached.
+  const search = (u, depth) => {
+    // If u is the goal, search succeeds
+    if (u === goalState) {
+      pushStep(`u = ${u} is GOAL. Search succeeds.`, u, null);
+      return true;
+    }
+
+    // If the depth limit is reached, cut off the search below u
+    if (depth === depthLimit) {
+      cutoff.push(u);
+      pushStep(`depth(${u}) = ${depth} = depth limit. Cut off below ${u}.`, u, null);
+      return false;
+    }
+
+    // Give up when the expansion limit is reached
+    if (expansions === maxExpansions) {
+      limitReached = true;
+      return false;
+    }
+
+    // Get all neighbors of u
+    const neighbors = graph[u] || [];
+    expansions++;
+    metrics.expand(u);
+
+    pushStep(`u = ${u}, depth(${u}) = ${depth} < depth limit = ${depthLimit}. Expand ${u}.`, u, neighbors);
+
+    for (const v of neighbors) {
+      // Skip nodes already on the recursion stack to avoid cycles
+      if (stack.includes(v)) {
+        continue;
+      }
+
+      stack.push(v);
+      metrics.generate();
+      metrics.frontier(stack.length);
+      if (search(v, depth + 1)) {
+        return true;
+      }
+      if (limitReached) {
+        return false;
+      }
+      stack.pop();
+
+      pushStep(`Backtrack from ${v} to ${u}.`, u, null);
+    }
+
+    return false;
+  };
+
+  // Loop until the goal is found or an iteration finishes without a cutoff
+  while (true) {
+    iteration++;
+    stack = [startState];
+    cutoff = [];
+    metrics.generate();
+    metrics.frontier(stack.length);
+
+    pushStep(`Iteration ${iteration}: depth limit = ${depthLimit}. L = {${startState}}`, null, null);
+
+    if (search(startState, 0)) {
+      return { success: true, steps, path: [...stack], metrics: metrics.result() };
+    }
+
+    if (limitReached) {
+      pushStep(`Reached the limit of ${maxExpansions} expansions before u = ${stack[stack.length - 1]}. Search fails.`, null, null);
+      return { success: false, steps, path: [], limitReached, metrics: metrics.result() };
+    }
+
+    // If the cutoff never fired, deeper limits cannot reach new nodes
+    if (cutoff.length === 0) {
+      stack = [];
+      pushStep(`Iteration ${iteration} finished without reaching the depth limit. Search fails.`, null, null);
+      return { success: false, steps, path: [], metrics: metrics.result() };
+    }
+
+    pushStep(
+      `Iteration ${iteration} finished. Cutoff fired at: ${cutoff.join(', ')}. Increase depth limit to ${depthLimit + 1}.`,
+      null,
+      null
+    );
+    depthLimit++;
+  }
+}
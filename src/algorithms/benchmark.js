@@ -0,0 +1,95 @@
+import { buildGridSearchInput, createGridWorld } from './Grid/gridWorld';
+import { createRandom } from './seededRandom';
+import { pathCost } from './graphUtils';
+import { createGraphProblem } from './searchProblem';
+import { aStar } from './HeuristicAndOptimalSearch/aStar';
+import { bestFirstSearch } from './HeuristicAndOptimalSearch/bestFirstSearch';
+import { branchAndBound } from './HeuristicAndOptimalSearch/branchAndBound';
+
+/**
+ * The number of expansions after which Branch and Bound gives up, about two
+ * seconds of search. It re-expands states without bound on some mazes.
+ */
+export const BENCHMARK_MAX_EXPANSIONS = 200000;
+
+/**
+ * Algorithms that can be timed, run without recording a trace
+ */
+export const BENCHMARK_ALGORITHMS = {
+  aStar: {
+    name: 'A*',
+    run: (input, heuristicFn, costFn) =>
+      aStar(input.graph, input.startState, input.goalState, heuristicFn, costFn, 1, 'graphReopen', false)
+  },
+  bestFirstSearch: {
+    name: 'Best-First Search',
+    run: (input, heuristicFn, costFn) =>
+      bestFirstSearch(input.graph, input.startState, input.goalState, heuristicFn, costFn, 'graph', false)
+  },
+  branchAndBound: {
+    name: 'Branch and Bound',
+    run: (input, heuristicFn, costFn) => {
+      const problem = {
+        ...createGraphProblem(input.graph, input.startState, input.goalState, heuristicFn, costFn),
+        maxExpansions: BENCHMARK_MAX_EXPANSIONS
+      };
+      // The start, goal, h and k come from the problem
+      return branchAndBound(problem, null, null, null, null, false);
+    }
+  }
+};
+
+/**
+ * Generate a large search input: a size × size 8-connected grid with random
+ * walls and terrain, searched from the top-left to the bottom-right corner
+ * with the octile heuristic
+ *
+ * @param {number} size - The number of rows and columns (size² nodes)
+ * @param {number} seed - The seed for the random walls and terrain
+ * @param {number} [wallDensity=0.2] - The share of cells that become walls
+ * @returns {Object} - { graph, costValues, heuristicValues, startState, goalState, nodeCount }
+ */
+export function createBenchmarkInput(size, seed, wallDensity = 0.2) {
+  const random = createRandom(seed);
+  const world = { ...createGridWorld(size, size), connectivity: 8, heuristic: 'octile' };
+
+  world.cells = world.cells.map((cellRow, row) => cellRow.map((cost, col) => {
+    const isEndpoint = (row === 0 && col === 0) || (row === size - 1 && col === size - 1);
+    const roll = random();
+    if (!isEndpoint && roll < wallDensity) return null;
+    return roll < wallDensity + 0.1 ? 3 : cost;
+  }));
+
+  const input = buildGridSearchInput(world);
+  return { ...input, nodeCount: Object.keys(input.graph).length };
+}
+
+/**
+ * Time the selected algorithms on a search input
+ *
+ * @param {Object} input - { graph, costValues, heuristicValues, startState, goalState }
+ * @param {Array} algorithmIds - Keys of BENCHMARK_ALGORITHMS
+ * @returns {Array} - { id, name, success, limitReached, pathLength, cost, expanded, timeMs } for each algorithm
+ */
+export function runBenchmark(input, algorithmIds) {
+  const heuristicFn = (node) => (node in input.heuristicValues ? input.heuristicValues[node] : Infinity);
+  const costFn = (u, v) => input.costValues[`${u},${v}`] || 1;
+
+  return algorithmIds.map(id => {
+    const algorithm = BENCHMARK_ALGORITHMS[id];
+    const startTime = performance.now();
+    const result = algorithm.run(input, heuristicFn, costFn);
+    const timeMs = performance.now() - startTime;
+
+    return {
+      id,
+      name: algorithm.name,
+      success: result.success,
+      limitReached: Boolean(result.limitReached),
+      pathLength: result.path.length,
+      cost: result.success ? pathCost(result.path, costFn) : null,
+      expanded: result.metrics.expanded,
+      timeMs
+    };
+  });
+}
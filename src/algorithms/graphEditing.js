@@ -0,0 +1,137 @@
+/**
+ * Edits of a graph with its costs and heuristic values, as made in the graph
+ * editor. Every edit takes and returns { graph, costValues, heuristicValues }
+ * and leaves its input unchanged.
+ */
+
+/**
+ * Find an unused name for a new node: the first free letter A–Z, then N1, N2, ...
+ *
+ * @param {Object} graph - The graph representation
+ * @returns {string} - The node name
+ */
+export function nextNodeName(graph) {
+  for (let code = 65; code <= 90; code++) {
+    const name = String.fromCharCode(code);
+    if (!(name in graph)) return name;
+  }
+
+  let index = 1;
+  while (`N${index}` in graph) index++;
+  return `N${index}`;
+}
+
+/**
+ * Add a node without neighbors
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {string} node - The name of the node
+ * @returns {Object} - The edited values
+ */
+export function addGraphNode(values, node) {
+  if (node in values.graph) return values;
+  return { ...values, graph: { ...values.graph, [node]: [] } };
+}
+
+/**
+ * Add the edge u → v, and v → u for an undirected edge
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {string} u - The node the edge leaves
+ * @param {string} v - The node the edge enters
+ * @param {boolean} [undirected=false] - Whether to add the reverse edge as well
+ * @returns {Object} - The edited values
+ */
+export function addGraphEdge(values, u, v, undirected = false) {
+  const graph = { ...values.graph };
+  const link = (from, to) => {
+    const neighbors = graph[from] || [];
+    if (!neighbors.includes(to)) {
+      graph[from] = [...neighbors, to];
+    }
+    if (!(to in graph)) graph[to] = [];
+  };
+
+  link(u, v);
+  if (undirected) link(v, u);
+  return { ...values, graph };
+}
+
+/**
+ * Set the cost of an edge, or remove it so that the edge costs 1 again
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {Array} edges - The edges [u, v] to set, e.g. both directions of an undirected edge
+ * @param {number|null} cost - The cost, or null to remove it
+ * @returns {Object} - The edited values
+ */
+export function setEdgeCost(values, edges, cost) {
+  const costValues = { ...values.costValues };
+  edges.forEach(([u, v]) => {
+    if (cost === null) {
+      delete costValues[`${u},${v}`];
+    } else {
+      costValues[`${u},${v}`] = cost;
+    }
+  });
+  return { ...values, costValues };
+}
+
+/**
+ * Set the heuristic value of a node, or remove it
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {string} node - The node
+ * @param {number|null} value - The heuristic value, or null to remove it
+ * @returns {Object} - The edited values
+ */
+export function setNodeHeuristic(values, node, value) {
+  const heuristicValues = { ...values.heuristicValues };
+  if (value === null) {
+    delete heuristicValues[node];
+  } else {
+    heuristicValues[node] = value;
+  }
+  return { ...values, heuristicValues };
+}
+
+/**
+ * Remove the given edges and their costs
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {Array} edges - The edges [u, v] to remove
+ * @returns {Object} - The edited values
+ */
+export function removeGraphEdges(values, edges) {
+  const graph = { ...values.graph };
+  edges.forEach(([u, v]) => {
+    graph[u] = (graph[u] || []).filter(neighbor => neighbor !== v);
+  });
+  return setEdgeCost({ ...values, graph }, edges, null);
+}
+
+/**
+ * Remove a node with all its edges, costs and its heuristic value
+ *
+ * @param {Object} values - { graph, costValues, heuristicValues }
+ * @param {string} node - The node
+ * @returns {Object} - The edited values
+ */
+export function removeGraphNode(values, node) {
+  const graph = {};
+  for (const [u, neighbors] of Object.entries(values.graph)) {
+    if (u !== node) {
+      graph[u] = neighbors.filter(v => v !== node);
+    }
+  }
+
+  const costValues = {};
+  for (const [edge, cost] of Object.entries(values.costValues)) {
+    const [u, v] = edge.split(',');
+    if (u !== node && v !== node) {
+      costValues[edge] = cost;
+    }
+  }
+
+  return setNodeHeuristic({ graph, costValues, heuristicValues: values.heuristicValues }, node, null);
+}
@@ -0,0 +1,211 @@
+/**
+ * The text syntax of the graph input
+ *
+ * Each line lists a node and its neighbors. A neighbor may carry the cost of
+ * the edge in parentheses, and a node its heuristic value in brackets:
+ *
+ *   A[h=7]: B(3),C(5)
+ *   B: C
+ *   C[h=0]:
+ *
+ * "--" instead of ":" makes the edges of a line undirected, so A -- B(3)
+ * adds both A → B and B → A with cost 3. Lines with "--" may repeat a node.
+ */
+
+const isNameChar = (char) => /[A-Za-z0-9]/.test(char);
+
+/**
+ * The syntax of the numbers of the text inputs, as String(n) writes them:
+ * decimals with an optional exponent, such as 1e-7 or 1e+21, and Infinity.
+ * A regular expression source, without anchors.
+ */
+export const NUMBER_PATTERN = '-?(?:Infinity|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)';
+
+const numberRegex = new RegExp(`^${NUMBER_PATTERN}`);
+
+/**
+ * Parse the text of the graph input
+ *
+ * Syntax errors do not stop the parser: it skips the line and reports every
+ * error with its line and column, both counted from 1. An undirected edge
+ * adds the reverse edge with the same cost, unless the reverse edge has a
+ * cost of its own in the text.
+ *
+ * @param {string} text - The graph text
+ * @param {Object} [options={}] - { undirected: treat every ":" line like "--" }
+ * @returns {Object} - { graph, costValues, heuristicValues, errors }, where
+ *   errors is a list of { line, column, message }
+ */
+export function parseGraphText(text, { undirected = false } = {}) {
+  const graph = {};
+  const costValues = {};
+  const heuristicValues = {};
+  const errors = [];
+  // Node names such as "constructor" are also keys of Object.prototype, so
+  // the tables below are checked with Object.hasOwn or kept in a Map
+  const definedOn = new Map();
+  // Costs written for an edge itself win over costs mirrored from its reverse edge
+  const explicitCosts = new Set();
+
+  const addEdge = (u, v) => {
+    if (!Object.hasOwn(graph, u)) graph[u] = [];
+    if (!Object.hasOwn(graph, v)) graph[v] = [];
+    if (!graph[u].includes(v)) graph[u].push(v);
+  };
+
+  text.split('\n').forEach((line, lineIndex) => {
+    let i = 0;
+
+    const fail = (message) => {
+      throw { line: lineIndex + 1, column: i + 1, message };
+    };
+    const skipSpaces = () => {
+      while (i < line.length && /\s/.test(line[i])) i++;
+    };
+    const expect = (char, message) => {
+      skipSpaces();
+      if (line[i] !== char) fail(message);
+      i++;
+    };
+    const readName = (what) => {
+      skipSpaces();
+      const begin = i;
+      while (i < line.length && isNameChar(line[i])) i++;
+      if (i === begin) fail(`expected ${what} (letters and digits)`);
+      return line.slice(begin, i);
+    };
+    const readNumber = (what) => {
+      skipSpaces();
+      const match = numberRegex.exec(line.slice(i));
+      if (!match) fail(`expected a number for ${what}`);
+      i += match[0].length;
+      return parseFloat(match[0]);
+    };
+
+    try {
+      skipSpaces();
+      if (i === line.length) return;
+
+      const nodeColumn = i + 1;
+      const node = readName('a node name');
+
+      // Optional heuristic annotation: [h=7]
+      let h;
+      skipSpaces();
+      if (line[i] === '[') {
+        i++;
+        expect('h', 'expected "h=" in the heuristic annotation');
+        expect('=', 'expected "=" after "h"');
+        h = readNumber(`h(${node})`);
+        expect(']', 'expected "]" after the heuristic value');
+      }
+
+      // ":" lists the neighbors of the node, "--" its undirected edges
+      skipSpaces();
+      const isEdgeLine = line.startsWith('--', i);
+      if (!isEdgeLine && line[i] !== ':') {
+        fail(`expected ":" or "--" after node ${node}`);
+      }
+      if (!isEdgeLine) {
+        if (definedOn.has(node)) {
+          i = nodeColumn - 1;
+          fail(`node ${node} already has a line (line ${definedOn.get(node)})`);
+        }
+        definedOn.set(node, lineIndex + 1);
+      }
+      i += isEdgeLine ? 2 : 1;
+
+      const neighbors = [];
+      skipSpaces();
+      if (isEdgeLine && i === line.length) {
+        fail('expected a neighbor name after "--"');
+      }
+      while (i < line.length) {
+        const neighborColumn = i + 1;
+        const neighbor = readName('a neighbor name');
+        if (neighbors.some(entry => entry.neighbor === neighbor)) {
+          i = neighborColumn - 1;
+          fail(`neighbor ${neighbor} is listed twice`);
+        }
+
+        // Optional edge cost: B(3)
+        let cost;
+        skipSpaces();
+        if (line[i] === '(') {
+          i++;
+          cost = readNumber(`k(${node},${neighbor})`);
+          expect(')', 'expected ")" after the edge cost');
+        }
+        neighbors.push({ neighbor, cost });
+
+        skipSpaces();
+        if (i < line.length) {
+          expect(',', 'expected "," between neighbors');
+          skipSpaces();
+          if (i === line.length) fail('expected a neighbor name after ","');
+        }
+      }
+
+      // Apply the line only once it parsed without errors
+      if (!Object.hasOwn(graph, node)) graph[node] = [];
+      if (h !== undefined) heuristicValues[node] = h;
+
+      for (const { neighbor, cost } of neighbors) {
+        addEdge(node, neighbor);
+        if (cost !== undefined) {
+          costValues[`${node},${neighbor}`] = cost;
+          explicitCosts.add(`${node},${neighbor}`);
+        }
+
+        if (isEdgeLine || undirected) {
+          addEdge(neighbor, node);
+          if (cost !== undefined && !explicitCosts.has(`${neighbor},${node}`)) {
+            costValues[`${neighbor},${node}`] = cost;
+          }
+        }
+      }
+    } catch (error) {
+      errors.push(error);
+    }
+  });
+
+  return { graph, costValues, heuristicValues, errors };
+}
+
+/**
+ * Describe a syntax error of the graph text
+ *
+ * @param {Object} error - { line, column, message } from parseGraphText
+ * @returns {string} - The error message with its position
+ */
+export function formatGraphTextError(error) {
+  return `Line ${error.line}, column ${error.column}: ${error.message}`;
+}
+
+/**
+ * Write a graph in the syntax of the graph input, with the known edge costs
+ * and heuristic values as annotations
+ *
+ * Nodes that are only neighbors get a line without neighbors when they have a
+ * heuristic value.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {Object} [costValues={}] - The edge costs keyed "u,v"
+ * @param {Object} [heuristicValues={}] - The heuristic values of the nodes
+ * @returns {string} - The graph text
+ */
+export function formatGraphText(graph, costValues = {}, heuristicValues = {}) {
+  const nodes = new Set(Object.keys(graph));
+  Object.values(graph).flat().forEach(node => {
+    if (Object.hasOwn(heuristicValues, node)) nodes.add(node);
+  });
+
+  return [...nodes].map(node => {
+    const annotation = Object.hasOwn(heuristicValues, node) ? `[h=${heuristicValues[node]}]` : '';
+    const neighbors = (Object.hasOwn(graph, node) ? graph[node] : []).map(neighbor => {
+      const key = `${node},${neighbor}`;
+      return Object.hasOwn(costValues, key) ? `${neighbor}(${costValues[key]})` : neighbor;
+    });
+    return `${node}${annotation}:${neighbors.length > 0 ? ` ${neighbors.join(',')}` : ''}`;
+  }).join('\n');
+}
@@ -0,0 +1,46 @@
+/**
+ * Build the reverse adjacency of a directed graph
+ * 
+ * Every edge u → v in the graph becomes v → u in the result, so a search over
+ * the reverse graph walks from the goal back towards the start.
+ * 
+ * @param {Object} graph - The graph representation
+ * @returns {Object} - The reversed graph with the same set of nodes
+ */
+export function buildReverseGraph(graph) {
+  const reverseGraph = {};
+  
+  for (const u of Object.keys(graph)) {
+    if (!(u in reverseGraph)) {
+      reverseGraph[u] = [];
+    }
+    
+    for (const v of graph[u] || []) {
+      if (!(v in reverseGraph)) {
+        reverseGraph[v] = [];
+      }
+      if (!reverseGraph[v].includes(u)) {
+        reverseGraph[v].push(u);
+      }
+    }
+  }
+  
+  return reverseGraph;
+}
+
+/**
+ * Add up the edge costs along a path
+ * 
+ * @param {Array} path - The nodes of the path, from start to end
+ * @param {Function} costFn - The cost function k(u,v)
+ * @returns {number} - The total cost, 0 for a path of fewer than two nodes
+ */
+export function pathCost(path, costFn) {
+  let total = 0;
+  
+  for (let i = 1; i < path.length; i++) {
+    total += costFn(path[i - 1], path[i]);
+  }
+  
+  return total;
+}
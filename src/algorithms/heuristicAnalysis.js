@@ -0,0 +1,83 @@
+import { buildReverseGraph } from './graphUtils';
+
+/**
+ * Compute the true cost-to-goal h*(n) of every node
+ *
+ * Runs Dijkstra's algorithm from the goal over the reverse graph, so each
+ * node gets the cost of its cheapest path to the goal.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} goalState - The goal node
+ * @param {Function} costFn - The cost function k(u,v)
+ * @returns {Object} - h*(n) for every node, Infinity when the goal is unreachable
+ */
+export function computeTrueCosts(graph, goalState, costFn) {
+  const reverseGraph = buildReverseGraph(graph);
+  const trueCosts = {};
+  for (const node of Object.keys(reverseGraph)) {
+    trueCosts[node] = Infinity;
+  }
+  trueCosts[goalState] = 0;
+
+  const settled = new Set();
+  while (true) {
+    // Take the unsettled node with the smallest known cost
+    let u = null;
+    for (const node of Object.keys(trueCosts)) {
+      if (!settled.has(node) && trueCosts[node] < Infinity && (u === null || trueCosts[node] < trueCosts[u])) {
+        u = node;
+      }
+    }
+    if (u === null) {
+      return trueCosts;
+    }
+    settled.add(u);
+
+    // Every predecessor v of u can reach the goal through the edge v → u
+    for (const v of reverseGraph[u] || []) {
+      const cost = costFn(v, u) + trueCosts[u];
+      if (cost < trueCosts[v]) {
+        trueCosts[v] = cost;
+      }
+    }
+  }
+}
+
+/**
+ * Check a heuristic for admissibility and consistency
+ *
+ * - Admissible: h(n) <= h*(n) for every node
+ * - Consistent: h(u) <= k(u,v) + h(v) for every edge u → v
+ *
+ * Only nodes with a heuristic value are checked.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} goalState - The goal node
+ * @param {Object} heuristicValues - h(n) keyed by node
+ * @param {Function} costFn - The cost function k(u,v)
+ * @returns {Object} - { trueCosts, inadmissible, inconsistent, admissible, consistent }
+ */
+export function analyzeHeuristic(graph, goalState, heuristicValues, costFn) {
+  const trueCosts = computeTrueCosts(graph, goalState, costFn);
+
+  const inadmissible = Object.keys(trueCosts)
+    .filter(node => node in heuristicValues && heuristicValues[node] > trueCosts[node])
+    .map(node => ({ node, h: heuristicValues[node], hStar: trueCosts[node] }));
+
+  const inconsistent = [];
+  for (const u of Object.keys(graph)) {
+    for (const v of graph[u] || []) {
+      if (u in heuristicValues && v in heuristicValues && heuristicValues[u] > costFn(u, v) + heuristicValues[v]) {
+        inconsistent.push({ u, v, hU: heuristicValues[u], cost: costFn(u, v), hV: heuristicValues[v] });
+      }
+    }
+  }
+
+  return {
+    trueCosts,
+    inadmissible,
+    inconsistent,
+    admissible: inadmissible.length === 0,
+    consistent: inconsistent.length === 0
+  };
+}
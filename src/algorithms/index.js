@@ -1,6 +1,25 @@
 export { bestFirstSearch } from './HeuristicAndOptimalSearch/bestFirstSearch';
+export { beamSearch } from './HeuristicAndOptimalSearch/beamSearch';
 export { hillClimbing } from './HeuristicAndOptimalSearch/hillClimbing';
+export {
+  localHillClimbing,
+  steepestAscentHillClimbing,
+  stochasticHillClimbing,
+  firstChoiceHillClimbing,
+  randomRestartHillClimbing
+} from './HeuristicAndOptimalSearch/localHillClimbing';
+export { simulatedAnnealing, TEMPERATURE_SCHEDULES } from './HeuristicAndOptimalSearch/simulatedAnnealing';
 export { aStar } from './HeuristicAndOptimalSearch/aStar';
 export { branchAndBound } from './HeuristicAndOptimalSearch/branchAndBound';
+export { idaStar } from './HeuristicAndOptimalSearch/idaStar';
+export { bidirectionalAStar } from './HeuristicAndOptimalSearch/bidirectionalAStar';
+export { breadthFirstSearch } from './UninformedSearch/breadthFirstSearch';
+export { depthFirstSearch } from './UninformedSearch/depthFirstSearch';
+export { uniformCostSearch } from './UninformedSearch/uniformCostSearch';
+export { iterativeDeepeningSearch } from './UninformedSearch/iterativeDeepeningSearch';
+export { bidirectionalSearch } from './UninformedSearch/bidirectionalSearch';
+export { SEARCH_ALGORITHMS, getSearchAlgorithm, runSearchAlgorithm } from './registry';
+export { SEARCH_MODES } from './searchModes';
+export { analyzeHeuristic, computeTrueCosts } from './heuristicAnalysis';
 export { minimax } from './MiniMax/minimax';
 export { minimaxWithTracking } from './MiniMax/minimaxTracker';
@@ -0,0 +1,99 @@
+/**
+ * Create an indexed binary min-heap
+ *
+ * The heap stores objects and remembers the position of each one, so an item
+ * whose priority went down can be moved up in O(log n) (decrease-key) and
+ * membership is checked in O(1).
+ *
+ * @param {Function} compare - Orders two items, negative when a comes first
+ * @returns {Object} - { push, pop, update, has, size, toSortedArray }
+ */
+export function createPriorityQueue(compare) {
+  const heap = [];
+  const positions = new Map();
+
+  const place = (item, index) => {
+    heap[index] = item;
+    positions.set(item, index);
+  };
+
+  const siftUp = (index) => {
+    const item = heap[index];
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (compare(item, heap[parent]) >= 0) break;
+      place(heap[parent], index);
+      index = parent;
+    }
+    place(item, index);
+  };
+
+  const siftDown = (index) => {
+    const item = heap[index];
+    while (true) {
+      const left = 2 * index + 1;
+      if (left >= heap.length) break;
+      const right = left + 1;
+      const child = right < heap.length && compare(heap[right], heap[left]) < 0 ? right : left;
+      if (compare(heap[child], item) >= 0) break;
+      place(heap[child], index);
+      index = child;
+    }
+    place(item, index);
+  };
+
+  return {
+    // Add an item
+    push(item) {
+      place(item, heap.length);
+      siftUp(heap.length - 1);
+    },
+
+    // Remove and return the first item, or undefined when empty
+    pop() {
+      if (heap.length === 0) return undefined;
+      const first = heap[0];
+      const last = heap.pop();
+      positions.delete(first);
+      if (heap.length > 0) {
+        place(last, 0);
+        siftDown(0);
+      }
+      return first;
+    },
+
+    // Restore the order after the priority of an item went down
+    update(item) {
+      siftUp(positions.get(item));
+    },
+
+    has(item) {
+      return positions.has(item);
+    },
+
+    size() {
+      return heap.length;
+    },
+
+    // All items in priority order, without changing the heap (O(n log n))
+    toSortedArray() {
+      return [...heap].sort(compare);
+    }
+  };
+}
+
+/**
+ * Compare two tie-breaking orders given as arrays of numbers
+ *
+ * The arrays are compared element by element; a prefix comes first.
+ *
+ * @param {Array} a - The first order
+ * @param {Array} b - The second order
+ * @returns {number} - Negative when a comes first
+ */
+export function compareOrder(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
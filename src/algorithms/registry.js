@@ -0,0 +1,226 @@
+import { bestFirstSearch } from './HeuristicAndOptimalSearch/bestFirstSearch';
+import { beamSearch } from './HeuristicAndOptimalSearch/beamSearch';
+import { hillClimbing } from './HeuristicAndOptimalSearch/hillClimbing';
+import {
+  steepestAscentHillClimbing,
+  stochasticHillClimbing,
+  firstChoiceHillClimbing,
+  randomRestartHillClimbing
+} from './HeuristicAndOptimalSearch/localHillClimbing';
+import { simulatedAnnealing } from './HeuristicAndOptimalSearch/simulatedAnnealing';
+import { aStar } from './HeuristicAndOptimalSearch/aStar';
+import { branchAndBound } from './HeuristicAndOptimalSearch/branchAndBound';
+import { idaStar } from './HeuristicAndOptimalSearch/idaStar';
+import { bidirectionalAStar } from './HeuristicAndOptimalSearch/bidirectionalAStar';
+import { breadthFirstSearch } from './UninformedSearch/breadthFirstSearch';
+import { depthFirstSearch } from './UninformedSearch/depthFirstSearch';
+import { uniformCostSearch } from './UninformedSearch/uniformCostSearch';
+import { iterativeDeepeningSearch } from './UninformedSearch/iterativeDeepeningSearch';
+import { bidirectionalSearch } from './UninformedSearch/bidirectionalSearch';
+import { pathCost } from './graphUtils';
+import { createGraphProblem } from './searchProblem';
+
+/**
+ * The search algorithms offered on the search page
+ *
+ * Each entry runs its algorithm on a search input
+ * ({ graph, startState, goalState, heuristicFn, costFn }) with the options
+ * chosen in the UI ({ beamWidth, weight, seed, annealingOptions, searchMode }).
+ * usesHeuristic and usesCost tell which inputs must be given, usesSearchMode
+ * whether the search mode option applies. The option maxExpansions caps
+ * Branch and Bound, which can otherwise re-expand states for a long time.
+ */
+export const SEARCH_ALGORITHMS = [
+  {
+    id: 'bestFirstSearch',
+    name: 'Best-First Search',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: true,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }, { searchMode }) =>
+      bestFirstSearch(graph, startState, goalState, heuristicFn, costFn, searchMode)
+  },
+  {
+    id: 'beamSearch',
+    name: 'Beam Search',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }, { beamWidth }) =>
+      beamSearch(graph, startState, goalState, heuristicFn, beamWidth)
+  },
+  {
+    id: 'hillClimbing',
+    name: 'Hill Climbing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }) =>
+      hillClimbing(graph, startState, goalState, heuristicFn)
+  },
+  {
+    id: 'steepestAscentHillClimbing',
+    name: 'Steepest-Ascent Hill Climbing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }) =>
+      steepestAscentHillClimbing(graph, startState, goalState, heuristicFn)
+  },
+  {
+    id: 'stochasticHillClimbing',
+    name: 'Stochastic Hill Climbing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }, { seed }) =>
+      stochasticHillClimbing(graph, startState, goalState, heuristicFn, seed)
+  },
+  {
+    id: 'firstChoiceHillClimbing',
+    name: 'First-Choice Hill Climbing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }, { seed }) =>
+      firstChoiceHillClimbing(graph, startState, goalState, heuristicFn, seed)
+  },
+  {
+    id: 'randomRestartHillClimbing',
+    name: 'Random-Restart Hill Climbing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }, { seed }) =>
+      randomRestartHillClimbing(graph, startState, goalState, heuristicFn, seed)
+  },
+  {
+    id: 'simulatedAnnealing',
+    name: 'Simulated Annealing',
+    usesHeuristic: true,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn }, { annealingOptions, seed }) =>
+      simulatedAnnealing(graph, startState, goalState, heuristicFn, { ...annealingOptions, seed })
+  },
+  {
+    id: 'aStar',
+    name: 'A*',
+    usesHeuristic: true,
+    usesCost: true,
+    usesSearchMode: true,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }, { searchMode }) =>
+      aStar(graph, startState, goalState, heuristicFn, costFn, 1, searchMode)
+  },
+  {
+    id: 'weightedAStar',
+    name: 'Weighted A*',
+    usesHeuristic: true,
+    usesCost: true,
+    usesSearchMode: true,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }, { weight, searchMode }) =>
+      aStar(graph, startState, goalState, heuristicFn, costFn, weight, searchMode)
+  },
+  {
+    id: 'branchAndBound',
+    name: 'Branch and Bound',
+    usesHeuristic: true,
+    usesCost: true,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }, { maxExpansions = Infinity }) =>
+      branchAndBound({ ...createGraphProblem(graph, startState, goalState, heuristicFn, costFn), maxExpansions })
+  },
+  {
+    id: 'idaStar',
+    name: 'IDA* (Iterative Deepening A*)',
+    usesHeuristic: true,
+    usesCost: true,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }) =>
+      idaStar(graph, startState, goalState, heuristicFn, costFn)
+  },
+  {
+    id: 'bidirectionalAStar',
+    name: 'Bidirectional A*',
+    usesHeuristic: true,
+    usesCost: true,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, heuristicFn, costFn }) =>
+      bidirectionalAStar(graph, startState, goalState, heuristicFn, costFn)
+  },
+  {
+    id: 'breadthFirstSearch',
+    name: 'Breadth-First Search',
+    usesHeuristic: false,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState }) =>
+      breadthFirstSearch(graph, startState, goalState)
+  },
+  {
+    id: 'depthFirstSearch',
+    name: 'Depth-First Search',
+    usesHeuristic: false,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState }) =>
+      depthFirstSearch(graph, startState, goalState)
+  },
+  {
+    id: 'uniformCostSearch',
+    name: 'Uniform-Cost Search',
+    usesHeuristic: false,
+    usesCost: true,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState, costFn }) =>
+      uniformCostSearch(graph, startState, goalState, costFn)
+  },
+  {
+    id: 'iterativeDeepeningSearch',
+    name: 'Iterative Deepening DFS',
+    usesHeuristic: false,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState }) =>
+      iterativeDeepeningSearch(graph, startState, goalState)
+  },
+  {
+    id: 'bidirectionalSearch',
+    name: 'Bidirectional Breadth-First Search',
+    usesHeuristic: false,
+    usesCost: false,
+    usesSearchMode: false,
+    run: ({ graph, startState, goalState }) =>
+      bidirectionalSearch(graph, startState, goalState)
+  }
+];
+
+/**
+ * Look up a search algorithm by id
+ *
+ * @param {string} id - The algorithm id
+ * @returns {Object|undefined} - The registry entry
+ */
+export function getSearchAlgorithm(id) {
+  return SEARCH_ALGORITHMS.find(algorithm => algorithm.id === id);
+}
+
+/**
+ * Run a search algorithm of the registry
+ *
+ * Algorithms that ignore k(u,v) leave metrics.totalCost empty; for a path
+ * found, it is filled in here from the path and the cost function, so every
+ * result reports the cost of its path.
+ *
+ * @param {Object} algorithm - The registry entry
+ * @param {Object} input - { graph, startState, goalState, heuristicFn, costFn }
+ * @param {Object} options - The options chosen in the UI
+ * @returns {Object} - The search result
+ */
+export function runSearchAlgorithm(algorithm, input, options) {
+  const result = algorithm.run(input, options);
+  if (result.success && result.metrics.totalCost === null) {
+    return { ...result, metrics: { ...result.metrics, totalCost: pathCost(result.path, input.costFn) } };
+  }
+  return result;
+}
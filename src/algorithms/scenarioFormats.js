@@ -0,0 +1,500 @@
+/**
+ * Scenario files: a search exercise with its graph, edge costs, heuristic
+ * values, start and goal, in JSON, Graphviz DOT or a CSV edge list
+ *
+ * A scenario object has the same shape as the inputs of the search page:
+ * { graph, costValues, heuristicValues, startState, goalState }. Costs are
+ * keyed "u,v" and edges without a cost cost 1 in the search page.
+ */
+
+import { formatGraphText } from './graphText';
+
+export const SCENARIO_FORMATS = {
+  json: { name: 'JSON scenario', extension: 'json', mimeType: 'application/json' },
+  dot: { name: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+  csv: { name: 'CSV edge list', extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Node names follow the syntax of the text inputs
+const nodeNameRegex = /^[A-Za-z0-9]+$/;
+
+const checkNodeName = (name, where) => {
+  if (typeof name !== 'string' || !nodeNameRegex.test(name)) {
+    throw new Error(`${where}: node name "${name}" must only contain letters and digits`);
+  }
+  return name;
+};
+
+// Numbers may be infinite, as in the text inputs: h = Infinity marks a
+// dead end. JSON has no Infinity, so there it is the string "Infinity".
+const checkNumber = (value, where) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    throw new Error(`${where}: "${value}" is not a number`);
+  }
+  return number;
+};
+
+// Add a node to the graph without touching its neighbors. Object.hasOwn,
+// since node names such as "constructor" are also keys of Object.prototype.
+const addNode = (graph, node) => {
+  if (!Object.hasOwn(graph, node)) {
+    graph[node] = [];
+  }
+};
+
+const addEdge = (graph, u, v) => {
+  addNode(graph, u);
+  if (!graph[u].includes(v)) {
+    graph[u].push(v);
+  }
+};
+
+/**
+ * List every node of a scenario: the nodes with an adjacency line, their
+ * neighbors and the nodes that only have a heuristic value
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {Array} - The node names in order of appearance
+ */
+export function scenarioNodes(scenario) {
+  const nodes = new Set();
+  for (const [u, neighbors] of Object.entries(scenario.graph || {})) {
+    nodes.add(u);
+    neighbors.forEach(v => nodes.add(v));
+  }
+  Object.keys(scenario.heuristicValues || {}).forEach(node => nodes.add(node));
+  return [...nodes];
+}
+
+// Write the infinite values of a cost or heuristic table as strings, which
+// JSON.stringify would otherwise turn into null
+const toJSONNumbers = (values) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, Number.isFinite(value) ? value : String(value)])
+);
+
+/**
+ * Write a scenario as JSON
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {string} - The JSON text
+ */
+export function scenarioToJSON(scenario) {
+  return JSON.stringify({
+    format: 'search-scenario',
+    version: 1,
+    graph: scenario.graph || {},
+    costs: toJSONNumbers(scenario.costValues || {}),
+    heuristics: toJSONNumbers(scenario.heuristicValues || {}),
+    start: scenario.startState || '',
+    goal: scenario.goalState || ''
+  }, null, 2);
+}
+
+/**
+ * Read a JSON scenario
+ *
+ * @param {string} text - The JSON text
+ * @returns {Object} - The scenario
+ * @throws {Error} - When the text is not a valid scenario
+ */
+export function parseScenarioJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('A scenario must be a JSON object');
+  }
+  if (!data.graph || typeof data.graph !== 'object' || Array.isArray(data.graph)) {
+    throw new Error('The scenario needs a "graph" object of the form { "node": ["neighbor", ...] }');
+  }
+
+  const graph = {};
+  for (const [u, neighbors] of Object.entries(data.graph)) {
+    checkNodeName(u, 'graph');
+    if (!Array.isArray(neighbors)) {
+      throw new Error(`graph: the neighbors of "${u}" must be an array`);
+    }
+    addNode(graph, u);
+    neighbors.forEach(v => addEdge(graph, u, checkNodeName(v, `graph.${u}`)));
+  }
+
+  const costValues = {};
+  for (const [edge, cost] of Object.entries(data.costs || {})) {
+    const [u, v, ...rest] = edge.split(',').map(n => n.trim());
+    if (rest.length > 0 || !u || !v) {
+      throw new Error(`costs: "${edge}" must be of the form "node1,node2"`);
+    }
+    costValues[`${checkNodeName(u, 'costs')},${checkNodeName(v, 'costs')}`] = checkNumber(cost, `costs.${edge}`);
+  }
+
+  const heuristicValues = {};
+  for (const [node, value] of Object.entries(data.heuristics || {})) {
+    heuristicValues[checkNodeName(node, 'heuristics')] = checkNumber(value, `heuristics.${node}`);
+  }
+
+  return {
+    graph,
+    costValues,
+    heuristicValues,
+    startState: data.start ? checkNodeName(data.start, 'start') : '',
+    goalState: data.goal ? checkNodeName(data.goal, 'goal') : ''
+  };
+}
+
+// DOT keywords, which must be quoted to be used as IDs
+const dotKeywords = ['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict'];
+
+// Write a node name or number as a DOT ID: plain identifiers and numerals as
+// they are, anything else quoted, such as 1A (which would read as 1 and A) or
+// 1e+21 (DOT numerals have no exponent)
+const toDOTId = (value) => {
+  const text = String(value);
+  const plain = /^[A-Za-z_][A-Za-z0-9_]*$/.test(text) && !dotKeywords.includes(text.toLowerCase());
+  const numeral = /^-?(?:\.\d+|\d+(?:\.\d*)?)$/.test(text);
+  return plain || numeral ? text : `"${text.replace(/"/g, '\\"')}"`;
+};
+
+/**
+ * Write a scenario as a Graphviz digraph
+ *
+ * Start and goal become graph attributes, h(n) the node attribute h and
+ * k(u,v) the edge attribute cost. Labels show the values when rendered.
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {string} - The DOT text
+ */
+export function scenarioToDOT(scenario) {
+  const { graph = {}, costValues = {}, heuristicValues = {}, startState, goalState } = scenario;
+  const lines = ['digraph G {'];
+
+  if (startState) lines.push(`  start="${startState}";`);
+  if (goalState) lines.push(`  goal="${goalState}";`);
+
+  for (const node of scenarioNodes(scenario)) {
+    const attributes = [];
+    if (Object.hasOwn(heuristicValues, node)) {
+      attributes.push(`label="${node}\\nh=${heuristicValues[node]}"`, `h=${toDOTId(heuristicValues[node])}`);
+    }
+    if (node === goalState) {
+      attributes.push('shape=doublecircle');
+    }
+    const id = toDOTId(node);
+    lines.push(attributes.length > 0 ? `  ${id} [${attributes.join(', ')}];` : `  ${id};`);
+  }
+
+  for (const [u, neighbors] of Object.entries(graph)) {
+    for (const v of neighbors) {
+      const key = `${u},${v}`;
+      const edge = `${toDOTId(u)} -> ${toDOTId(v)}`;
+      lines.push(Object.hasOwn(costValues, key)
+        ? `  ${edge} [label="${costValues[key]}", cost=${toDOTId(costValues[key])}];`
+        : `  ${edge};`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Split DOT text into identifiers, quoted strings and punctuation,
+// skipping comments
+const tokenizeDOT = (text) => {
+  const tokens = [];
+  const tokenRegex = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|(->|--|[{}[\];,=:])|([A-Za-z_\u0080-\uFFFF][A-Za-z0-9_\u0080-\uFFFF]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+  let match;
+
+  while (tokenRegex.lastIndex < text.length) {
+    const index = tokenRegex.lastIndex;
+    match = tokenRegex.exec(text);
+    if (!match) {
+      const line = text.slice(0, index).split('\n').length;
+      throw new Error(`DOT line ${line}: unexpected character "${text[index]}"`);
+    }
+    if (match[1] !== undefined) {
+      // A quoted ID is never a keyword: "node" is a node named node
+      tokens.push({ type: 'id', value: match[1].replace(/\\"/g, '"'), quoted: true });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'id', value: match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Read a Graphviz graph or digraph
+ *
+ * Edges take their cost from the attribute cost, weight or a numeric label,
+ * and nodes their heuristic value from the attribute h. The graph attributes
+ * start and goal set the start and goal states. Edges of an undirected graph
+ * (a -- b) are added in both directions. Subgraphs and ports are not supported.
+ *
+ * @param {string} text - The DOT text
+ * @returns {Object} - The scenario
+ * @throws {Error} - When the text is not valid DOT
+ */
+export function parseScenarioDOT(text) {
+  const tokens = tokenizeDOT(text);
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`DOT: expected "${type}" but found ${token ? `"${token.value ?? token.type}"` : 'the end of the file'}`);
+    }
+    return token;
+  };
+  const isKeyword = (token, keyword) => token?.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+
+  // [a=1, b=2][c=3] → { a: '1', b: '2', c: '3' }
+  const parseAttributes = () => {
+    const attributes = {};
+    while (peek()?.type === '[') {
+      next();
+      while (peek() && peek().type !== ']') {
+        const name = expect('id').value;
+        let value = 'true';
+        if (peek()?.type === '=') {
+          next();
+          value = expect('id').value;
+        }
+        attributes[name] = value;
+        if (peek()?.type === ',' || peek()?.type === ';') next();
+      }
+      expect(']');
+    }
+    return attributes;
+  };
+
+  const graph = {};
+  const costValues = {};
+  const heuristicValues = {};
+  let startState = '';
+  let goalState = '';
+
+  if (isKeyword(peek(), 'strict')) next();
+  const header = next();
+  if (!isKeyword(header, 'graph') && !isKeyword(header, 'digraph')) {
+    throw new Error('DOT: the file must start with "graph" or "digraph"');
+  }
+  const directed = isKeyword(header, 'digraph');
+  if (peek()?.type === 'id') next();
+  expect('{');
+
+  while (peek() && peek().type !== '}') {
+    const token = next();
+    if (token.type === ';') continue;
+    if (token.type !== 'id') {
+      throw new Error(`DOT: unexpected "${token.type}"`);
+    }
+    if (isKeyword(token, 'subgraph')) {
+      throw new Error('DOT: subgraphs are not supported');
+    }
+
+    // Default attributes for the graph, nodes or edges are ignored
+    if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) && peek()?.type === '[') {
+      parseAttributes();
+      continue;
+    }
+
+    // Graph attribute: start="S"
+    if (peek()?.type === '=') {
+      next();
+      const value = expect('id').value;
+      if (token.value === 'start') startState = checkNodeName(value, 'DOT start');
+      if (token.value === 'goal') goalState = checkNodeName(value, 'DOT goal');
+      continue;
+    }
+
+    if (peek()?.type === ':') {
+      throw new Error('DOT: ports are not supported');
+    }
+
+    // Node or edge chain: a -> b -> c [attributes]
+    const chain = [checkNodeName(token.value, 'DOT')];
+    const operators = [];
+    while (peek()?.type === '->' || peek()?.type === '--') {
+      operators.push(next().type);
+      chain.push(checkNodeName(expect('id').value, 'DOT'));
+    }
+    const attributes = parseAttributes();
+
+    if (chain.length === 1) {
+      addNode(graph, chain[0]);
+      if ('h' in attributes) {
+        heuristicValues[chain[0]] = checkNumber(attributes.h, `DOT node ${chain[0]} h`);
+      }
+      continue;
+    }
+
+    if (operators.includes(directed ? '--' : '->')) {
+      throw new Error(`DOT: use "${directed ? '->' : '--'}" for the edges of a ${header.value}`);
+    }
+
+    const costText = attributes.cost ?? attributes.weight ??
+      (attributes.label !== undefined && !Number.isNaN(Number(attributes.label)) ? attributes.label : undefined);
+
+    for (let i = 1; i < chain.length; i++) {
+      const pairs = directed ? [[chain[i - 1], chain[i]]] : [[chain[i - 1], chain[i]], [chain[i], chain[i - 1]]];
+      for (const [u, v] of pairs) {
+        addEdge(graph, u, v);
+        addNode(graph, v);
+        if (costText !== undefined) {
+          costValues[`${u},${v}`] = checkNumber(costText, `DOT edge ${u} → ${v} cost`);
+        }
+      }
+    }
+  }
+  expect('}');
+
+  return { graph, costValues, heuristicValues, startState, goalState };
+}
+
+/**
+ * Write the edges of a scenario as CSV rows "from,to,cost"
+ *
+ * Edges without a cost leave the cost empty. Nodes without any edge get a
+ * row with an empty "to". Heuristic values, start and goal are not included.
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {string} - The CSV text
+ */
+export function scenarioToCSV(scenario) {
+  const { graph = {}, costValues = {} } = scenario;
+  const rows = ['from,to,cost'];
+  const connected = new Set();
+
+  for (const [u, neighbors] of Object.entries(graph)) {
+    for (const v of neighbors) {
+      const key = `${u},${v}`;
+      rows.push(`${u},${v},${Object.hasOwn(costValues, key) ? costValues[key] : ''}`);
+      connected.add(u);
+      connected.add(v);
+    }
+  }
+
+  scenarioNodes({ graph }).filter(node => !connected.has(node)).forEach(node => rows.push(`${node},,`));
+
+  return rows.join('\n');
+}
+
+/**
+ * Read a CSV edge list with the columns from, to and an optional cost
+ *
+ * A first row "from,to" or with a cost column that is not a number is taken
+ * as a header.
+ *
+ * @param {string} text - The CSV text
+ * @returns {Object} - The scenario, with graph and costValues only
+ * @throws {Error} - When a row is not valid
+ */
+export function parseScenarioCSV(text) {
+  const graph = {};
+  const costValues = {};
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const fields = line.split(',').map(field => field.trim());
+    const where = `CSV line ${index + 1}`;
+
+    // Skip a header such as "from,to,cost"
+    const textCost = fields.length === 3 && fields[2] !== '' && Number.isNaN(Number(fields[2]));
+    if (index === 0 && (textCost || fields.slice(0, 2).join(',').toLowerCase() === 'from,to')) {
+      return;
+    }
+    if (fields.length < 2 || fields.length > 3) {
+      throw new Error(`${where}: expected "from,to" or "from,to,cost"`);
+    }
+
+    const [u, v, cost = ''] = fields;
+    addNode(graph, checkNodeName(u, where));
+    if (!v) return;
+
+    addEdge(graph, u, checkNodeName(v, where));
+    addNode(graph, v);
+    if (cost !== '') {
+      costValues[`${u},${v}`] = checkNumber(cost, where);
+    }
+  });
+
+  return { graph, costValues };
+}
+
+/**
+ * Write a scenario in one of SCENARIO_FORMATS
+ *
+ * @param {Object} scenario - The scenario
+ * @param {string} format - A key of SCENARIO_FORMATS
+ * @returns {string} - The file text
+ */
+export function exportScenario(scenario, format) {
+  switch (format) {
+    case 'json':
+      return scenarioToJSON(scenario);
+    case 'dot':
+      return scenarioToDOT(scenario);
+    case 'csv':
+      return scenarioToCSV(scenario);
+    default:
+      throw new Error(`Unknown scenario format "${format}"`);
+  }
+}
+
+/**
+ * Read a scenario in one of SCENARIO_FORMATS
+ *
+ * @param {string} text - The file text
+ * @param {string} format - A key of SCENARIO_FORMATS
+ * @returns {Object} - The scenario; a CSV edge list only sets graph and costValues
+ * @throws {Error} - When the text is not valid in the format
+ */
+export function importScenario(text, format) {
+  switch (format) {
+    case 'json':
+      return parseScenarioJSON(text);
+    case 'dot':
+      return parseScenarioDOT(text);
+    case 'csv':
+      return parseScenarioCSV(text);
+    default:
+      throw new Error(`Unknown scenario format "${format}"`);
+  }
+}
+
+/**
+ * Guess the format of a scenario file from its name
+ *
+ * @param {string} fileName - The name of the file
+ * @returns {string|null} - A key of SCENARIO_FORMATS, or null when unknown
+ */
+export function detectScenarioFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'gv') return 'dot';
+  return Object.keys(SCENARIO_FORMATS).find(format => SCENARIO_FORMATS[format].extension === extension) || null;
+}
+
+/**
+ * Write graph, heuristic and cost values in the syntax of the text inputs
+ *
+ * @param {Object} scenario - The scenario
+ * @returns {Object} - { graphText, heuristicText, costText }
+ */
+export function formatScenarioText(scenario) {
+  const { graph = {}, costValues = {}, heuristicValues = {} } = scenario;
+
+  return {
+    graphText: formatGraphText(graph, costValues, heuristicValues),
+    heuristicText: Object.entries(heuristicValues).map(([node, value]) => `${node}: ${value}`).join('\n'),
+    costText: Object.entries(costValues).map(([edge, value]) => `${edge}: ${value}`).join('\n')
+  };
+}
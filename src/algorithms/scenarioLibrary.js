@@ -0,0 +1,114 @@
+/**
+ * Built-in example scenarios of the search page
+ *
+ * Each example is written in the syntax of the graph input (see graphText.js)
+ * and has the shape of a scenario (see scenarioFormats.js), with optional
+ * node positions for the user-pinned layout.
+ */
+
+import { parseGraphText } from './graphText';
+
+// Build a scenario from graph text with its costs and heuristic values as annotations
+const exampleScenario = ({ id, name, description, graphText, startState, goalState, positions }) => {
+  const { graph, costValues, heuristicValues, errors } = parseGraphText(graphText.trim());
+  if (errors.length > 0) {
+    throw new Error(`Example scenario ${id} has a syntax error on line ${errors[0].line}: ${errors[0].message}`);
+  }
+  return { id, name, description, scenario: { graph, costValues, heuristicValues, startState, goalState }, positions };
+};
+
+export const BUILT_IN_SCENARIOS = [
+  exampleScenario({
+    id: 'romania',
+    name: 'Romania road map',
+    description: 'The road map of Romania from Russell & Norvig, with road distances in km and the straight-line distance to Bucharest as h. Every road goes both ways.',
+    graphText: `
+Arad[h=366] -- Zerind(75),Sibiu(140),Timisoara(118)
+Zerind[h=374] -- Oradea(71)
+Oradea[h=380] -- Sibiu(151)
+Timisoara[h=329] -- Lugoj(111)
+Lugoj[h=244] -- Mehadia(70)
+Mehadia[h=241] -- Drobeta(75)
+Drobeta[h=242] -- Craiova(120)
+Craiova[h=160] -- RimnicuVilcea(146),Pitesti(138)
+Sibiu[h=253] -- Fagaras(99),RimnicuVilcea(80)
+RimnicuVilcea[h=193] -- Pitesti(97)
+Fagaras[h=176] -- Bucharest(211)
+Pitesti[h=100] -- Bucharest(101)
+Bucharest[h=0] -- Giurgiu(90),Urziceni(85)
+Giurgiu[h=77]:
+Urziceni[h=80] -- Hirsova(98),Vaslui(142)
+Hirsova[h=151] -- Eforie(86)
+Eforie[h=161]:
+Vaslui[h=199] -- Iasi(92)
+Iasi[h=226] -- Neamt(87)
+Neamt[h=234]:
+`,
+    startState: 'Arad',
+    goalState: 'Bucharest',
+    // Approximate map positions, for the user-pinned layout
+    positions: {
+      Arad: { x: 0.06, y: 0.29 },
+      Bucharest: { x: 0.64, y: 0.77 },
+      Craiova: { x: 0.36, y: 0.89 },
+      Drobeta: { x: 0.2, y: 0.86 },
+      Eforie: { x: 0.94, y: 0.87 },
+      Fagaras: { x: 0.46, y: 0.42 },
+      Giurgiu: { x: 0.59, y: 0.94 },
+      Hirsova: { x: 0.89, y: 0.71 },
+      Iasi: { x: 0.77, y: 0.25 },
+      Lugoj: { x: 0.2, y: 0.62 },
+      Mehadia: { x: 0.2, y: 0.74 },
+      Neamt: { x: 0.65, y: 0.16 },
+      Oradea: { x: 0.13, y: 0.06 },
+      Pitesti: { x: 0.49, y: 0.65 },
+      RimnicuVilcea: { x: 0.33, y: 0.53 },
+      Sibiu: { x: 0.28, y: 0.39 },
+      Timisoara: { x: 0.07, y: 0.53 },
+      Urziceni: { x: 0.74, y: 0.71 },
+      Vaslui: { x: 0.84, y: 0.43 },
+      Zerind: { x: 0.09, y: 0.18 }
+    }
+  }),
+  exampleScenario({
+    id: 'flowExample',
+    name: 'A* walkthrough (HEURISTIC_SEARCH_ALGORITHM_FLOW.md)',
+    description: 'The detailed A* example of the algorithm flow document. Only the listed edge directions have costs; the edges back cost 1.',
+    graphText: `
+A[h=5]: B(1),C(2)
+B[h=4]: A,D(2),E(3)
+C[h=4]: A,F(1)
+D[h=5]: B
+E[h=2]: B,G(2)
+F[h=1]: C,G(3)
+G[h=0]: E,F
+`,
+    startState: 'A',
+    goalState: 'G'
+  }),
+  exampleScenario({
+    id: 'pseudocodeExample',
+    name: 'A* step-by-step (SEARCH_ALGORITHMS_PSEUDOCODE.md)',
+    description: 'The step-by-step execution example of the pseudocode document: A* reaches C after expanding A and B.',
+    graphText: `
+A[h=5]: B(1),D(3)
+B[h=4]: C(2),E(1)
+C[h=0]:
+D[h=3]: E(2)
+E[h=2]: F(1)
+F[h=1]:
+`,
+    startState: 'A',
+    goalState: 'C'
+  })
+];
+
+/**
+ * Find a built-in example scenario
+ *
+ * @param {string} id - The id of the example
+ * @returns {Object|undefined} - { id, name, description, scenario, positions }
+ */
+export function getBuiltInScenario(id) {
+  return BUILT_IN_SCENARIOS.find(example => example.id === id);
+}
@@ -0,0 +1,49 @@
+/**
+ * Create a tracker for the statistics of a search run
+ *
+ * The algorithms report what they do and return tracker.result(...) as the
+ * metrics of their result:
+ * - totalCost: the sum of k(u,v) along the path, null when the search failed
+ *   or the algorithm does not know the edge costs (runSearchAlgorithm in
+ *   registry.js then adds it up from the path)
+ * - generated: nodes put into L, including the start
+ * - expanded: nodes whose neighbors were generated
+ * - maxFrontier: the largest |L| during the run
+ * - reExpansions: expansions of a state that was already expanded before
+ *
+ * @returns {Object} - { generate, expand, frontier, result }
+ */
+export function createMetricsTracker() {
+  const expandedStates = new Set();
+  let generated = 0;
+  let expanded = 0;
+  let maxFrontier = 0;
+  let reExpansions = 0;
+
+  return {
+    // Count nodes put into L
+    generate(count = 1) {
+      generated += count;
+    },
+
+    // Count the expansion of a state
+    expand(key) {
+      expanded++;
+      if (expandedStates.has(key)) {
+        reExpansions++;
+      } else {
+        expandedStates.add(key);
+      }
+    },
+
+    // Record the current size of L
+    frontier(size) {
+      maxFrontier = Math.max(maxFrontier, size);
+    },
+
+    // The metrics object, with extra algorithm-specific counts
+    result(totalCost = null, extra = {}) {
+      return { totalCost, generated, expanded, maxFrontier, reExpansions, ...extra };
+    }
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * How an algorithm treats states it has already generated or expanded
+ *
+ * - 'tree': no duplicate detection. Every generated successor becomes a new
+ *   node instance in L, except states already on its own path (to stay finite).
+ * - 'graph': expanded states move to a CLOSED list and are never generated again.
+ * - 'graphReopen': like 'graph', but a state in CLOSED that is reached by a
+ *   cheaper path is taken out of CLOSED and put back into L.
+ */
+export const SEARCH_MODES = {
+  tree: 'Tree search',
+  graph: 'Graph search (CLOSED list)',
+  graphReopen: 'Graph search with reopening'
+};
+
+/**
+ * Check whether a state key appears on the path of a node instance
+ *
+ * @param {Object} entry - The node instance ({ key, parent })
+ * @param {string} key - The state key
+ * @returns {boolean} - True if the key is the entry or one of its ancestors
+ */
+export function isOnPath(entry, key) {
+  for (let current = entry; current !== null; current = current.parent) {
+    if (current.key === key) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reconstruct the path to a node instance by following its parents
+ *
+ * @param {Object} entry - The node instance ({ key, parent })
+ * @returns {Array} - The state keys from the start to the entry
+ */
+export function buildEntryPath(entry) {
+  const path = [];
+  for (let current = entry; current !== null; current = current.parent) {
+    path.unshift(current.key);
+  }
+  return path;
+}
@@ -0,0 +1,81 @@
+/**
+ * Search problem abstraction
+ *
+ * A search problem describes a state space that may be generated on the fly
+ * (puzzles, grids, ...) instead of being listed as an adjacency object:
+ *
+ * {
+ *   initialState,                 // The starting state
+ *   successors(state),            // [{ state, cost }] reachable in one move
+ *   isGoal(state),                // Whether state is a goal
+ *   key(state),                   // A unique string for the state, used in L and the trace
+ *   heuristic(state),             // The heuristic estimate h(state)
+ *   maxExpansions                 // Optional: the number of expansions after which A*,
+ *                                 // Best-First Search and Branch and Bound give up
+ * }
+ *
+ * The algorithms record state keys in their steps, so a trace over a graph
+ * problem looks exactly like a trace over the text graph.
+ */
+
+/**
+ * Check whether a value is a search problem rather than an adjacency object
+ *
+ * @param {Object} value - The value to check
+ * @returns {boolean} - True if the value implements the search problem interface
+ */
+export function isSearchProblem(value) {
+  return Boolean(value) &&
+    typeof value.successors === 'function' &&
+    typeof value.isGoal === 'function' &&
+    typeof value.key === 'function' &&
+    'initialState' in value;
+}
+
+/**
+ * Adapt the text-graph input (adjacency object, h and k functions) to a search problem
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The starting node
+ * @param {string} goalState - The goal node
+ * @param {Function} [heuristicFn] - The heuristic function h(n), defaults to 0
+ * @param {Function} [costFn] - The cost function k(u,v), defaults to 1
+ * @returns {Object} - The search problem
+ */
+export function createGraphProblem(graph, startState, goalState, heuristicFn, costFn) {
+  return {
+    initialState: startState,
+    successors: (node) => (graph[node] || []).map(v => ({
+      state: v,
+      cost: costFn ? costFn(node, v) : 1
+    })),
+    isGoal: (node) => node === goalState,
+    key: (node) => node,
+    heuristic: heuristicFn || (() => 0),
+    maxExpansions: Infinity
+  };
+}
+
+/**
+ * Normalize the first argument of a search algorithm to a search problem
+ *
+ * Algorithms accept either a search problem or the original
+ * (graph, startState, goalState, heuristicFn, costFn) arguments.
+ *
+ * @param {Object} graphOrProblem - The graph representation or a search problem
+ * @param {string} startState - The starting node (graph input only)
+ * @param {string} goalState - The goal node (graph input only)
+ * @param {Function} [heuristicFn] - The heuristic function h(n) (graph input only)
+ * @param {Function} [costFn] - The cost function k(u,v) (graph input only)
+ * @returns {Object} - The search problem
+ */
+export function toSearchProblem(graphOrProblem, startState, goalState, heuristicFn, costFn) {
+  if (isSearchProblem(graphOrProblem)) {
+    return {
+      heuristic: () => 0,
+      maxExpansions: Infinity,
+      ...graphOrProblem
+    };
+  }
+  return createGraphProblem(graphOrProblem, startState, goalState, heuristicFn, costFn);
+}
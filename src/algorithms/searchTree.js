@@ -0,0 +1,280 @@
+/**
+ * The search tree behind a trace
+ *
+ * The state graph has one node per state, but the search tree has one node
+ * per generated instance: a state reached twice appears twice. Every
+ * instance has a status:
+ *
+ * - frontier: in L
+ * - expanded: taken from L (or visited, for the iterative deepening algorithms)
+ * - discarded: generated but not put into L, e.g. a duplicate without a cheaper path
+ * - replaced: taken out of L because a cheaper instance of its state took its place
+ * - dropped: dropped from the beam
+ * - pruned: taken from L with f(u) above the best cost found so far
+ * - cutoff: beyond the threshold or depth limit of the iteration
+ */
+export const SEARCH_TREE_STATUSES = {
+  frontier: 'In L',
+  expanded: 'Expanded',
+  discarded: 'Discarded',
+  replaced: 'Replaced by a cheaper instance',
+  dropped: 'Dropped from the beam',
+  pruned: 'Pruned (f > cost)',
+  cutoff: 'Cut off'
+};
+
+/**
+ * Check whether an instance left the search without being explored
+ *
+ * @param {Object} node - A node of the search tree
+ * @returns {boolean} - True for discarded, replaced, dropped, pruned and cut-off instances
+ */
+export function isInactiveTreeNode(node) {
+  return !['frontier', 'expanded'].includes(node.status);
+}
+
+// Count how often each state key occurs in a list
+const countKeys = (keys) => {
+  const counts = {};
+  keys.forEach(key => {
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+};
+
+// The g and f values a step records for one direction of the search
+const valuesOf = (step, direction) => (direction === 'backward'
+  ? { g: step?.gBackward, f: step?.fBackward }
+  : { g: step?.g, f: step?.f });
+
+// Collect the instances of one replay. The g of an instance is the cost of
+// its own path; f uses the heuristic term f(v) - g(v) of the trace, which
+// covers the weight of Weighted A* and the backward heuristic of
+// Bidirectional A*, and is only given when the trace has f values.
+const createTreeBuilder = ({ heuristicFn, costFn }) => {
+  const nodes = [];
+
+  const addNode = (state, parent, step, direction, status) => {
+    const edgeCost = !parent ? 0 : direction === 'backward' ? costFn(state, parent.state) : costFn(parent.state, state);
+    const g = parent ? parent.g + edgeCost : 0;
+    const values = valuesOf(step, direction);
+    const traced = values.g && values.f && state in values.g && state in values.f
+      ? values.f[state] - values.g[state]
+      : null;
+    const h = direction === 'backward' ? traced : heuristicFn(state);
+    const term = traced ?? h;
+
+    const node = {
+      id: nodes.length,
+      state,
+      parent: parent ? parent.id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      direction,
+      g,
+      h: Number.isFinite(h) ? h : null,
+      f: values.f && Number.isFinite(term) ? g + term : null,
+      status
+    };
+    nodes.push(node);
+    return node;
+  };
+
+  return { nodes, addNode };
+};
+
+// Take the instance of a state out of an open list; of several instances the
+// cheapest one, and of equally cheap ones the oldest
+const takeInstance = (open, state) => {
+  let best = -1;
+  open.forEach((node, index) => {
+    if (node.state === state && (best === -1 || node.g < open[best].g)) {
+      best = index;
+    }
+  });
+  return best === -1 ? null : open.splice(best, 1)[0];
+};
+
+// Searches with a frontier L, or two of them for the bidirectional searches.
+// Comparing L before and after each step tells which successors went into L.
+const replayFrontierSearch = (steps, currentStep, builder) => {
+  const open = { forward: [], backward: [] };
+  const selected = {};
+  let current = null;
+
+  const first = steps[0];
+  const roots = first.forwardL ? { forward: first.forwardL, backward: first.backwardL } : { forward: first.L };
+  Object.entries(roots).forEach(([direction, keys]) => {
+    keys.forEach(state => open[direction].push(builder.addNode(state, null, first, direction, 'frontier')));
+  });
+
+  steps.slice(1, currentStep + 1).forEach((step, index) => {
+    const previous = steps[index];
+    current = null;
+    if (!step.u) return;
+
+    const direction = step.direction === 'backward' ? 'backward' : 'forward';
+    const frontierOf = (entry) => (entry.forwardL ? (direction === 'backward' ? entry.backwardL : entry.forwardL) : entry.L) || [];
+    const before = countKeys(frontierOf(previous));
+    const after = countKeys(frontierOf(step));
+    const list = open[direction];
+
+    // Taking u from L: Branch and Bound prunes it when f(u) > cost
+    if (!step.neighbors) {
+      if ((after[step.u] || 0) < (before[step.u] || 0)) {
+        const node = takeInstance(list, step.u);
+        if (node) {
+          const f = valuesOf(step, direction).f?.[step.u];
+          node.status = typeof step.cost === 'number' && f > step.cost ? 'pruned' : 'expanded';
+          selected[direction] = node;
+          current = node;
+        }
+      }
+      return;
+    }
+
+    // Expanding u: every neighbor is a new instance, which stays in the
+    // tree even when it does not go into L
+    let parent = selected[direction];
+    if (!parent || parent.state !== step.u) {
+      parent = takeInstance(list, step.u) || builder.addNode(step.u, null, step, direction, 'expanded');
+      parent.status = 'expanded';
+      selected[direction] = parent;
+    }
+    current = parent;
+
+    const dropped = countKeys(step.dropped || []);
+    const gBefore = valuesOf(previous, direction).g;
+    const gAfter = valuesOf(step, direction).g;
+    step.neighbors.forEach(v => {
+      const child = builder.addNode(v, parent, step, direction, 'discarded');
+      const added = (after[v] || 0) > (before[v] || 0);
+      const improved = (after[v] || 0) > 0 && gBefore && gAfter && gAfter[v] < gBefore[v];
+      if (added || improved) {
+        child.status = 'frontier';
+        list.push(child);
+      } else if (!before[v] && dropped[v]) {
+        child.status = 'dropped';
+        dropped[v]--;
+      }
+    });
+
+    // Instances that left L without being taken from it were replaced by a
+    // cheaper instance of their state, or dropped from the beam
+    const counts = countKeys(list.map(node => node.state));
+    Object.entries(counts).forEach(([state, count]) => {
+      for (let extra = count - (after[state] || 0); extra > 0; extra--) {
+        const stale = list
+          .filter(node => node.state === state)
+          .reduce((worst, node) => (node.g > worst.g ? node : worst));
+        list.splice(list.indexOf(stale), 1);
+        if (dropped[state]) {
+          stale.status = 'dropped';
+          dropped[state]--;
+        } else {
+          stale.status = 'replaced';
+        }
+      }
+    });
+  });
+
+  return current;
+};
+
+// IDA* and Iterative Deepening: L is the current path, so every path is one
+// instance, and every iteration builds a new tree
+const replayIterations = (steps, currentStep, options) => {
+  let builder = createTreeBuilder(options);
+  let byPath = {};
+  let current = null;
+
+  steps.slice(0, currentStep + 1).forEach((step, index) => {
+    const previous = steps[index - 1];
+    if (step.iteration !== previous?.iteration) {
+      builder = createTreeBuilder(options);
+      byPath = {};
+    }
+
+    let last = null;
+    step.L.forEach((state, depth) => {
+      const key = step.L.slice(0, depth + 1).join('\u0000');
+      if (!byPath[key]) {
+        byPath[key] = builder.addNode(state, last, step, 'forward', 'frontier');
+      }
+      last = byPath[key];
+    });
+
+    current = step.u && last?.state === step.u ? last : null;
+    if (!current) return;
+
+    const cutOff = step.iteration === previous?.iteration && step.cutoff.length > previous.cutoff.length;
+    if (cutOff && step.threshold !== undefined) {
+      // IDA* cuts off a successor of u without putting it on the path
+      builder.addNode(step.cutoff[step.cutoff.length - 1], last, step, 'forward', 'cutoff');
+    } else if (cutOff) {
+      last.status = 'cutoff';
+    } else if (last.status === 'frontier') {
+      last.status = 'expanded';
+    }
+  });
+
+  return { nodes: builder.nodes, current: current ? current.id : null };
+};
+
+// Local searches keep a single state: the tree is the walk, with the
+// neighbors of every state on it. Simulated annealing only generates its
+// candidate, and every restart starts a new root.
+const replayLocalSearch = (steps, currentStep, builder) => {
+  let walker = null;
+
+  steps.slice(0, currentStep + 1).forEach((step, index) => {
+    const previous = steps[index - 1];
+    if (!step.u) {
+      walker = null;
+      return;
+    }
+
+    if (!walker || step.restart !== previous?.restart) {
+      walker = builder.addNode(step.u, null, step, 'forward', 'expanded');
+    } else if (step.u !== walker.state) {
+      // The walk moved to one of the neighbors generated by the step before
+      const next = builder.nodes.findLast(node => node.parent === walker.id && node.state === step.u);
+      walker = next || builder.addNode(step.u, walker, step, 'forward', 'expanded');
+      walker.status = 'expanded';
+    }
+
+    if (step.neighbors) {
+      const generated = step.temperature !== undefined ? (step.candidate ? [step.candidate] : []) : step.neighbors;
+      generated.forEach(v => builder.addNode(v, walker, step, 'forward', 'discarded'));
+    }
+  });
+
+  return walker;
+};
+
+/**
+ * Replay the trace up to a step into the search tree built so far
+ *
+ * Each expansion generates one instance per neighbor of u. When several
+ * instances of u are in L, the cheapest is the one taken.
+ *
+ * @param {Array} steps - The steps of the trace
+ * @param {number} currentStep - The index of the last step to replay
+ * @param {Object} options - { heuristicFn, costFn } of the search
+ * @returns {Object} - { nodes, current }: nodes are { id, state, parent (an id
+ *   or null), depth, direction, g, h, f, status } in the order they were
+ *   generated, and current is the id of the instance the step works on, or null
+ */
+export function buildSearchTree(steps, currentStep, { heuristicFn = () => Infinity, costFn = () => 1 } = {}) {
+  if (!steps || steps.length === 0) return { nodes: [], current: null };
+  const options = { heuristicFn, costFn };
+
+  if (steps[0].iteration !== undefined) {
+    return replayIterations(steps, currentStep, options);
+  }
+
+  const builder = createTreeBuilder(options);
+  const current = steps[0].h !== undefined
+    ? replayLocalSearch(steps, currentStep, builder)
+    : replayFrontierSearch(steps, currentStep, builder);
+  return { nodes: builder.nodes, current: current ? current.id : null };
+}
@@ -0,0 +1,46 @@
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * 
+ * The same seed always produces the same sequence, so runs of randomized
+ * algorithms can be replayed step by step.
+ * 
+ * @param {number} seed - The integer seed
+ * @returns {Function} - A function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random element of an array
+ * 
+ * @param {Array} items - The items to pick from
+ * @param {Function} random - A function returning numbers in [0, 1)
+ * @returns {*} - The chosen item
+ */
+export function randomChoice(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher–Yates)
+ * 
+ * @param {Array} items - The items to shuffle
+ * @param {Function} random - A function returning numbers in [0, 1)
+ * @returns {Array} - A new array with the items in random order
+ */
+export function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,69 @@
+/**
+ * Get the frontier of a step: L, or both frontiers of a bidirectional search
+ *
+ * @param {Object} step - A step of the trace
+ * @returns {Array} - The state keys in the frontier
+ */
+export function stepFrontier(step) {
+  if (!step) return [];
+  if (step.forwardL) return [...step.forwardL, ...step.backwardL];
+  return step.L || [];
+}
+
+/**
+ * Replay the trace up to a step to find what the search has built so far
+ *
+ * A neighbor v of u gets the parent u when the step puts v into the frontier
+ * of the direction that expanded u, or lowers g(v) while v stays in it. The
+ * last such step wins, like the cameFrom map of the algorithms; a
+ * bidirectional search builds a second tree in cameFromBackward. For the
+ * iterative deepening algorithms L is the current path, so the parent of u is
+ * the node before it, and every iteration starts a new tree.
+ *
+ * @param {Array} steps - The steps of the trace
+ * @param {number} currentStep - The index of the last step to replay
+ * @returns {Object} - { expanded: state keys in expansion order, cameFrom, cameFromBackward }
+ */
+export function replayTrace(steps, currentStep) {
+  let expanded = [];
+  let cameFrom = {};
+  const cameFromBackward = {};
+
+  steps.slice(0, currentStep + 1).forEach((step, index) => {
+    const previous = steps[index - 1];
+
+    if (step.iteration !== undefined) {
+      if (step.iteration !== previous?.iteration) {
+        expanded = [];
+        cameFrom = {};
+      }
+      const position = step.u ? step.L.lastIndexOf(step.u) : -1;
+      if (position > 0) {
+        cameFrom[step.u] = step.L[position - 1];
+      }
+    }
+
+    if (step.u && !expanded.includes(step.u)) {
+      expanded.push(step.u);
+    }
+    if (!step.u || !step.neighbors || step.iteration !== undefined) return;
+
+    // Compare the frontier and g values of the direction that expanded u
+    const backward = step.direction === 'backward';
+    const frontierOf = (entry) => (entry?.forwardL ? (backward ? entry.backwardL : entry.forwardL) : entry?.L) || [];
+    const gOf = (entry) => (backward ? entry?.gBackward : entry?.g);
+    const parents = backward ? cameFromBackward : cameFrom;
+    const before = new Set(frontierOf(previous));
+    const after = new Set(frontierOf(step));
+
+    step.neighbors.forEach(v => {
+      if (v === step.u || !after.has(v)) return;
+      const improved = gOf(step) && gOf(previous) && gOf(step)[v] !== gOf(previous)[v];
+      if (!before.has(v) || improved) {
+        parents[v] = step.u;
+      }
+    });
+  });
+
+  return { expanded, cameFrom, cameFromBackward };
+}
@@ -1,11 +1,27 @@
 import React from 'react';
+import { getSearchAlgorithm, SEARCH_ALGORITHMS, SEARCH_MODES } from '../algorithms';
 
-const AlgorithmSelector = ({ selectedAlgorithm, onAlgorithmChange, onRunAlgorithm }) => {
-  const algorithms = [
-    { id: 'bestFirstSearch', name: 'Best-First Search' },
-    { id: 'hillClimbing', name: 'Hill Climbing' },
-    { id: 'aStar', name: 'A*' },
-    { id: 'branchAndBound', name: 'Branch and Bound' }
+const AlgorithmSelector = ({
+  selectedAlgorithm,
+  onAlgorithmChange,
+  onRunAlgorithm,
+  beamWidth,
+  onBeamWidthChange,
+  weight,
+  onWeightChange,
+  seed,
+  onSeedChange,
+  annealingOptions,
+  onAnnealingOptionsChange,
+  searchMode,
+  onSearchModeChange
+}) => {
+  // Algorithms that make random choices and take a seed
+  const seededAlgorithms = [
+    'stochasticHillClimbing',
+    'firstChoiceHillClimbing',
+    'randomRestartHillClimbing',
+    'simulatedAnnealing'
   ];
 
   return (
@@ -18,7 +34,7 @@ const AlgorithmSelector = ({ selectedAlgorithm, onAlgorithmChange, onRunAlgorith
           onChange={(e) => onAlgorithmChange(e.target.value)}
         >
           <option value="">Select an algorithm</option>
-          {algorithms.map(algo => (
+          {SEARCH_ALGORITHMS.map(algo => (
             <option key={algo.id} value={algo.id}>
               {algo.name}
             </option>
@@ -33,6 +49,115 @@ const AlgorithmSelector = ({ selectedAlgorithm, onAlgorithmChange, onRunAlgorith
           Run Algorithm
         </button>
       </div>
+
+      {getSearchAlgorithm(selectedAlgorithm)?.usesSearchMode && (
+        <div style={{ marginTop: '1rem' }}>
+          <label>
+            Search mode
+          </label>
+          <select
+            value={searchMode}
+            onChange={(e) => onSearchModeChange(e.target.value)}
+          >
+            {Object.entries(SEARCH_MODES).map(([id, name]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selectedAlgorithm === 'beamSearch' && (
+        <div style={{ marginTop: '1rem' }}>
+          <label>
+            Beam width k (nodes kept in L after each expansion)
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={beamWidth}
+            onChange={(e) => onBeamWidthChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          />
+        </div>
+      )}
+
+      {selectedAlgorithm === 'weightedAStar' && (
+        <div style={{ marginTop: '1rem' }}>
+          <label>
+            Heuristic weight w = {weight} (f = g + w·h)
+          </label>
+          <input
+            type="range"
+            min="1"
+            max="5"
+            step="0.1"
+            value={weight}
+            onChange={(e) => onWeightChange(parseFloat(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+      )}
+
+      {selectedAlgorithm === 'simulatedAnnealing' && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem', marginTop: '1rem' }}>
+          <div>
+            <label>
+              Temperature schedule
+            </label>
+            <select
+              value={annealingOptions.schedule}
+              onChange={(e) => onAnnealingOptionsChange({ ...annealingOptions, schedule: e.target.value })}
+            >
+              <option value="linear">Linear: T0 · (1 - t / max)</option>
+              <option value="exponential">Exponential: T0 · 0.9^t</option>
+              <option value="logarithmic">Logarithmic: T0 / ln(t + e)</option>
+            </select>
+          </div>
+          <div>
+            <label>
+              Initial temperature T0
+            </label>
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={annealingOptions.initialTemperature}
+              onChange={(e) => onAnnealingOptionsChange({
+                ...annealingOptions,
+                initialTemperature: Math.max(0.1, parseFloat(e.target.value) || 0.1)
+              })}
+            />
+          </div>
+          <div>
+            <label>
+              Max iterations
+            </label>
+            <input
+              type="number"
+              min="1"
+              value={annealingOptions.maxIterations}
+              onChange={(e) => onAnnealingOptionsChange({
+                ...annealingOptions,
+                maxIterations: Math.max(1, parseInt(e.target.value, 10) || 1)
+              })}
+            />
+          </div>
+        </div>
+      )}
+
+      {seededAlgorithms.includes(selectedAlgorithm) && (
+        <div style={{ marginTop: '1rem' }}>
+          <label>
+            Random seed (the same seed replays the same run)
+          </label>
+          <input
+            type="number"
+            value={seed}
+            onChange={(e) => onSeedChange(parseInt(e.target.value, 10) || 0)}
+          />
+        </div>
+      )}
     </div>
   );
 };
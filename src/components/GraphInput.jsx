@@ -1,25 +1,32 @@
 import React, { useState } from 'react';
-
-const GraphInput = ({ onGraphChange, onStartStateChange, onGoalStateChange }) => {
-  const [graphText, setGraphText] = useState('');
-  const [startState, setStartState] = useState('');
-  const [goalState, setGoalState] = useState('');
+import { formatGraphText, formatGraphTextError, parseGraphText } from '../algorithms/graphText';
+
+// The initial values fill the inputs when they mount, e.g. after a scenario
+// import or after the separate heuristic and cost inputs changed
+const GraphInput = ({
+  initialGraph,
+  initialStartState = '',
+  initialGoalState = '',
+  costValues = {},
+  heuristicValues = {},
+  onGraphChange,
+  onStartStateChange,
+  onGoalStateChange
+}) => {
+  const [graphText, setGraphText] = useState(() =>
+    initialGraph ? formatGraphText(initialGraph, costValues, heuristicValues) : ''
+  );
+  const [startState, setStartState] = useState(initialStartState);
+  const [goalState, setGoalState] = useState(initialGoalState);
+  const [undirected, setUndirected] = useState(false);
   const [error, setError] = useState('');
   const [formatError, setFormatError] = useState('');
 
-  // Regular expression for validating graph input format
-  const graphLineRegex = /^[A-Za-z0-9]+:\s*([A-Za-z0-9]+(,\s*[A-Za-z0-9]+)*)?$/;
-
   const validateGraphFormat = (text) => {
-    if (!text.trim()) return true; // Empty input is valid during typing
-
-    const lines = text.trim().split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line && !graphLineRegex.test(line)) {
-        setFormatError(`Line ${i + 1} does not match format "node: neighbor1,neighbor2,..."`);
-        return false;
-      }
+    const { errors } = parseGraphText(text, { undirected });
+    if (errors.length > 0) {
+      setFormatError(errors.map(formatGraphTextError).join('\n'));
+      return false;
     }
     setFormatError('');
     return true;
@@ -55,41 +62,41 @@ const GraphInput = ({ onGraphChange, onStartStateChange, onGoalStateChange }) =>
       return null;
     }
 
-    try {
-      // Parse the graph text into an adjacency list
-      const lines = graphText.trim().split('\n');
-      const graph = {};
-
-      for (const line of lines) {
-        const [node, neighbors] = line.split(':');
-        if (!node || !neighbors) {
-          throw new Error('Invalid graph format. Use format "node: neighbor1,neighbor2,..."');
-        }
-
-        const nodeKey = node.trim();
-        const neighborsList = neighbors.split(',').map(n => n.trim()).filter(n => n);
+    const parsed = parseGraphText(graphText, { undirected });
+    const graph = parsed.graph;
+    if (Object.keys(graph).length === 0) {
+      setFormatError('Enter at least one line "node: neighbor1,neighbor2,..."');
+      return null;
+    }
 
-        graph[nodeKey] = neighborsList;
-      }
+    setError('');
+    setFormatError('');
+    // Costs and heuristic values written in the graph override the separate inputs
+    onGraphChange(graph, { costValues: parsed.costValues, heuristicValues: parsed.heuristicValues });
 
-      setError('');
-      setFormatError('');
-      onGraphChange(graph);
+    // If start or goal state is not in the graph, show a warning
+    const warnings = [];
+    if (startState && !graph[startState]) {
+      warnings.push(`Start state "${startState}" is not in the graph.`);
+    }
 
-      // If start or goal state is not in the graph, show a warning
-      if (startState && !graph[startState]) {
-        setError(`Warning: Start state "${startState}" is not in the graph.`);
-      }
+    if (goalState && !graph[goalState]) {
+      warnings.push(`Goal state "${goalState}" is not in the graph.`);
+    }
 
-      if (goalState && !graph[goalState]) {
-        setError(`Warning: Goal state "${goalState}" is not in the graph.`);
+    // Once some costs are given, point out the edges that fall back to cost 1
+    const knownCosts = { ...costValues, ...parsed.costValues };
+    if (Object.keys(knownCosts).length > 0) {
+      const unpriced = Object.entries(graph).flatMap(([u, neighbors]) =>
+        neighbors.filter(v => !(`${u},${v}` in knownCosts)).map(v => `${u} → ${v}`)
+      );
+      if (unpriced.length > 0) {
+        warnings.push(`These edges have no cost and cost 1: ${unpriced.join(', ')}.`);
       }
-
-      return graph;
-    } catch (err) {
-      setError(err.message);
-      return null;
     }
+
+    setError(warnings.join(' '));
+    return graph;
   };
 
   return (
@@ -98,14 +105,23 @@ const GraphInput = ({ onGraphChange, onStartStateChange, onGoalStateChange }) =>
 
       <div>
         <label>
-          Graph (format: "node: neighbor1,neighbor2,...")
+          Graph (format: "node: neighbor1,neighbor2,..." or "node -- neighbor1,..." for undirected edges,
+          with optional edge costs "B(3)" and heuristic values "A[h=7]:")
         </label>
         <textarea
           rows="6"
           value={graphText}
           onChange={handleGraphTextChange}
-          placeholder="A: B,C,D&#10;B: A,E&#10;C: A,F&#10;D: A,G&#10;E: B&#10;F: C&#10;G: D"
+          placeholder="A[h=10]: B(1),C(2),D(4)&#10;B[h=8]: A,E(5)&#10;C[h=5]: A,F(3)&#10;D[h=7]: A,G(2)&#10;E[h=3]: B&#10;F[h=6]: C&#10;G[h=0]: D"
         />
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', marginTop: '0.25rem' }}>
+          <input
+            type="checkbox"
+            checked={undirected}
+            onChange={(e) => setUndirected(e.target.checked)}
+          />
+          Undirected: every edge also goes back with the same cost
+        </label>
       </div>
 
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
@@ -142,7 +158,8 @@ const GraphInput = ({ onGraphChange, onStartStateChange, onGoalStateChange }) =>
 
       {formatError && (
         <div style={{ color: 'red', marginTop: '0.5rem' }}>
-          <strong>Format Error:</strong> {formatError}
+          <strong>Format Error:</strong>{' '}
+          <span style={{ whiteSpace: 'pre-line' }}>{formatError}</span>
         </div>
       )}
 
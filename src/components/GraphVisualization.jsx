@@ -1,124 +1,291 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { computeNodePositions, drawSearchGraph, findEdgeAt, findNodeAt, nodeRadiusFor } from './graphDrawing';
+import { FORCE_LAYOUT_MAX_NODES, GRAPH_LAYOUTS } from './graphLayout';
+import {
+  addGraphEdge,
+  addGraphNode,
+  nextNodeName,
+  removeGraphEdges,
+  removeGraphNode,
+  setEdgeCost,
+  setNodeHeuristic
+} from '../algorithms/graphEditing';
 
-const GraphVisualization = ({ graph, startState, goalState, path }) => {
+// The size of the canvas in pixels; positions are stored as fractions of it
+const WIDTH = 600;
+const HEIGHT = 400;
+
+// Read a number typed into a prompt: null when cancelled, '' for an empty answer
+const promptNumber = (message, current) => {
+  const answer = window.prompt(message, current === undefined ? '' : String(current));
+  if (answer === null) return null;
+  if (answer.trim() === '') return '';
+
+  const value = Number(answer.trim());
+  if (!Number.isFinite(value)) {
+    alert(`"${answer}" is not a number.`);
+    return null;
+  }
+  return value;
+};
+
+const GraphVisualization = ({
+  graph,
+  costValues = {},
+  heuristicValues = {},
+  positions = {},
+  layout = 'circle',
+  startState,
+  goalState,
+  path,
+  steps = [],
+  currentStep = 0,
+  onGraphEdit,
+  onPositionsChange,
+  onLayoutChange
+}) => {
   const canvasRef = useRef(null);
+  const step = steps[currentStep];
+  const [editing, setEditing] = useState(false);
+  const [undirectedEdges, setUndirectedEdges] = useState(false);
+  const [selected, setSelected] = useState(null);
+  // The pointer gesture in progress: moving a node, drawing an edge or a click
+  const [drag, setDrag] = useState(null);
 
-  useEffect(() => {
-    if (!graph || Object.keys(graph).length === 0) return;
+  const values = { graph: graph || {}, costValues, heuristicValues };
+
+  // While a node is dragged it follows the pointer
+  const shownPositions = drag?.mode === 'move' && drag.moved
+    ? { ...positions, [drag.node]: { x: drag.x / WIDTH, y: drag.y / HEIGHT } }
+    : positions;
+  const nodeRadius = nodeRadiusFor(Object.keys(values.graph).length);
+  const nodePositions = computeNodePositions(values.graph, shownPositions, WIDTH, HEIGHT, nodeRadius);
 
+  // An edge drawn as undirected stands for both directions
+  const edgeGroup = ([u, v]) => {
+    const reverse = (values.graph[v] || []).includes(u) && (costValues[`${u},${v}`] ?? 1) === (costValues[`${v},${u}`] ?? 1);
+    return reverse ? [[u, v], [v, u]] : [[u, v]];
+  };
+
+  useEffect(() => {
     const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
+    if (!graph || Object.keys(graph).length === 0) {
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    drawSearchGraph(
+      canvas,
+      { graph, costValues, heuristicValues, positions: shownPositions, startState, goalState, path, steps, currentStep },
+      nodeRadius
+    );
 
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Get all nodes
-    const nodes = Object.keys(graph);
-
-    // Calculate positions for nodes in a circle
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const radius = Math.min(centerX, centerY) - 50;
-
-    const nodePositions = {};
-
-    nodes.forEach((node, index) => {
-      const angle = (index / nodes.length) * 2 * Math.PI;
-      const x = centerX + radius * Math.cos(angle);
-      const y = centerY + radius * Math.sin(angle);
-
-      nodePositions[node] = { x, y };
-    });
-
-    // Draw edges
-    ctx.strokeStyle = '#888';
-    ctx.lineWidth = 1;
-
-    nodes.forEach(node => {
-      const neighbors = graph[node] || [];
-      const { x: x1, y: y1 } = nodePositions[node];
-
-      neighbors.forEach(neighbor => {
-        if (neighbor in nodePositions) {
-          const { x: x2, y: y2 } = nodePositions[neighbor];
-
-          ctx.beginPath();
-          ctx.moveTo(x1, y1);
-          ctx.lineTo(x2, y2);
-          ctx.stroke();
-        }
-      });
-    });
-
-    // Draw path if available
-    if (path && path.length > 1) {
-      ctx.strokeStyle = '#4CAF50';
-      ctx.lineWidth = 3;
-
-      for (let i = 0; i < path.length - 1; i++) {
-        const node1 = path[i];
-        const node2 = path[i + 1];
-
-        if (node1 in nodePositions && node2 in nodePositions) {
-          const { x: x1, y: y1 } = nodePositions[node1];
-          const { x: x2, y: y2 } = nodePositions[node2];
-
-          ctx.beginPath();
-          ctx.moveTo(x1, y1);
-          ctx.lineTo(x2, y2);
-          ctx.stroke();
-        }
+    // Editor overlays: the selection and the edge being drawn
+    const ctx = canvas.getContext('2d');
+    ctx.strokeStyle = '#ff9800';
+    ctx.lineWidth = 3;
+    if (selected?.node && nodePositions[selected.node]) {
+      const { x, y } = nodePositions[selected.node];
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.arc(x, y, nodeRadius + 8, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (selected?.edge) {
+      const [u, v] = selected.edge;
+      if (nodePositions[u] && nodePositions[v]) {
+        ctx.beginPath();
+        ctx.moveTo(nodePositions[u].x, nodePositions[u].y);
+        ctx.lineTo(nodePositions[v].x, nodePositions[v].y);
+        ctx.stroke();
       }
     }
+    if (drag?.mode === 'edge' && drag.moved) {
+      const { x, y } = nodePositions[drag.node];
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(drag.x, drag.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  });
 
-    // Draw nodes
-    nodes.forEach(node => {
-      const { x, y } = nodePositions[node];
+  // The pointer position in canvas pixels
+  const canvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * canvasRef.current.width / rect.width,
+      y: (e.clientY - rect.top) * canvasRef.current.height / rect.height
+    };
+  };
 
-      // Determine node color
-      let fillColor = '#3498db';
+  // Keep every node where it is now, so that adding a node does not move the others
+  const pinnedPositions = () => Object.fromEntries(
+    Object.entries(nodePositions).map(([node, { x, y }]) => [node, { x: x / WIDTH, y: y / HEIGHT }])
+  );
+
+  const handlePointerDown = (e) => {
+    if (!editing) return;
+    const { x, y } = canvasPoint(e);
+    const node = findNodeAt(nodePositions, x, y, nodeRadius);
+    canvasRef.current.setPointerCapture(e.pointerId);
+    setDrag({ mode: node ? (e.shiftKey ? 'edge' : 'move') : 'click', node, startX: x, startY: y, x, y, moved: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const { x, y } = canvasPoint(e);
+    const moved = drag.moved || Math.hypot(x - drag.startX, y - drag.startY) > 4;
+    setDrag({ ...drag, x: Math.min(WIDTH, Math.max(0, x)), y: Math.min(HEIGHT, Math.max(0, y)), moved });
+  };
 
-      if (node === startState) {
-        fillColor = '#e74c3c';
-      } else if (node === goalState) {
-        fillColor = '#2ecc71';
-      } else if (path && path.includes(node)) {
-        fillColor = '#f39c12';
+  const handlePointerUp = () => {
+    if (!drag) return;
+    setDrag(null);
+
+    if (drag.mode === 'move' && drag.moved) {
+      onPositionsChange({ ...pinnedPositions(), [drag.node]: { x: drag.x / WIDTH, y: drag.y / HEIGHT } });
+      return;
+    }
+
+    if (drag.mode === 'edge' && drag.moved) {
+      const target = findNodeAt(nodePositions, drag.x, drag.y, nodeRadius);
+      if (target && target !== drag.node) {
+        onGraphEdit(addGraphEdge(values, drag.node, target, undirectedEdges));
       }
+      return;
+    }
 
-      // Draw node circle
-      ctx.beginPath();
-      ctx.arc(x, y, 20, 0, 2 * Math.PI);
-      ctx.fillStyle = fillColor;
-      ctx.fill();
-      ctx.strokeStyle = '#333';
-      ctx.lineWidth = 1;
-      ctx.stroke();
+    // A click selects a node or an edge, or adds a node on empty space
+    if (drag.node) {
+      setSelected({ node: drag.node });
+      return;
+    }
+    const edge = findEdgeAt(values.graph, nodePositions, drag.x, drag.y);
+    if (edge) {
+      setSelected({ edge });
+      return;
+    }
+
+    const name = nextNodeName(values.graph);
+    onPositionsChange({ ...pinnedPositions(), [name]: { x: drag.x / WIDTH, y: drag.y / HEIGHT } });
+    onGraphEdit(addGraphNode(values, name));
+    setSelected({ node: name });
+  };
+
+  const handleDoubleClick = (e) => {
+    if (!editing) return;
+    const { x, y } = canvasPoint(e);
+
+    const node = findNodeAt(nodePositions, x, y, nodeRadius);
+    if (node) {
+      const value = promptNumber(`Heuristic value h(${node}), empty to remove it:`, heuristicValues[node]);
+      if (value !== null) {
+        onGraphEdit(setNodeHeuristic(values, node, value === '' ? null : value));
+      }
+      return;
+    }
 
-      // Draw node label
-      ctx.fillStyle = '#fff';
-      ctx.font = 'bold 16px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(node, x, y);
-    });
+    const edge = findEdgeAt(values.graph, nodePositions, x, y);
+    if (edge) {
+      const edges = edgeGroup(edge);
+      const names = edges.map(([u, v]) => `k(${u},${v})`).join(' and ');
+      const value = promptNumber(`Cost ${names}, empty for the default cost 1:`, costValues[`${edge[0]},${edge[1]}`]);
+      if (value !== null) {
+        onGraphEdit(setEdgeCost(values, edges, value === '' ? null : value));
+      }
+    }
+  };
 
-  }, [graph, startState, goalState, path]);
+  const handleDeleteSelected = () => {
+    if (selected?.node) {
+      onGraphEdit(removeGraphNode(values, selected.node));
+    } else if (selected?.edge) {
+      onGraphEdit(removeGraphEdges(values, edgeGroup(selected.edge)));
+    }
+    setSelected(null);
+  };
 
   return (
     <div className="card">
       <h2>Graph Visualization</h2>
 
+      {onLayoutChange && (
+        <div style={{ marginBottom: '0.5rem' }}>
+          <label>
+            Layout (moving or adding a node in the editor switches to the user-pinned layout)
+          </label>
+          <select
+            value={layout}
+            onChange={(e) => onLayoutChange(e.target.value, pinnedPositions())}
+          >
+            {Object.entries(GRAPH_LAYOUTS).map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          {layout === 'force' && Object.keys(graph || {}).length > FORCE_LAYOUT_MAX_NODES && (
+            <p style={{ marginTop: '0.25rem' }}>
+              Graphs with more than {FORCE_LAYOUT_MAX_NODES} nodes are drawn on the circle.
+            </p>
+          )}
+        </div>
+      )}
+
+      {onGraphEdit && (
+        <div style={{ marginBottom: '0.5rem' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+              <input
+                type="checkbox"
+                checked={editing}
+                onChange={(e) => {
+                  setEditing(e.target.checked);
+                  setSelected(null);
+                }}
+              />
+              Edit graph
+            </label>
+            {editing && (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={undirectedEdges}
+                    onChange={(e) => setUndirectedEdges(e.target.checked)}
+                  />
+                  New edges are undirected
+                </label>
+                <button onClick={handleDeleteSelected} disabled={!selected} style={{ backgroundColor: '#f44336' }}>
+                  Delete {selected?.node ? `node ${selected.node}` : selected?.edge ? `edge ${selected.edge[0]} → ${selected.edge[1]}` : 'selection'}
+                </button>
+              </>
+            )}
+          </div>
+          {editing && (
+            <p style={{ fontSize: '0.85rem', marginTop: '0.25rem' }}>
+              Click empty space to add a node and click a node or edge to select it. Drag a node to move it,
+              Shift-drag from one node to another to add an edge. Double-click a node to set h(n) or an edge to set k(u,v).
+            </p>
+          )}
+        </div>
+      )}
+
       <div>
         <canvas
           ref={canvasRef}
-          width={600}
-          height={400}
-          style={{ width: '100%' }}
+          width={WIDTH}
+          height={HEIGHT}
+          style={{ width: '100%', cursor: editing ? 'crosshair' : 'default', touchAction: editing ? 'none' : 'auto' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onDoubleClick={handleDoubleClick}
         />
       </div>
 
-      <div style={{ marginTop: '0.5rem', display: 'flex', justifyContent: 'center', gap: '1.5rem' }}>
+      <div style={{ marginTop: '0.5rem', display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1.5rem' }}>
         <div style={{ display: 'flex', alignItems: 'center' }}>
           <div style={{ width: '1rem', height: '1rem', backgroundColor: '#e74c3c', borderRadius: '50%', marginRight: '0.5rem' }}></div>
           <span>Start</span>
@@ -135,6 +302,64 @@ const GraphVisualization = ({ graph, startState, goalState, path }) => {
           <div style={{ width: '1rem', height: '1rem', backgroundColor: '#3498db', borderRadius: '50%', marginRight: '0.5rem' }}></div>
           <span>Other Nodes</span>
         </div>
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <span style={{ color: '#888', marginRight: '0.5rem' }}>→</span>
+          <span>Directed Edge</span>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <div style={{ width: '1rem', height: '0', borderTop: '1px solid #888', marginRight: '0.5rem' }}></div>
+          <span>Undirected Edge</span>
+        </div>
+        {step && (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', backgroundColor: '#1f4e6e', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Expanded</span>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', border: '3px solid #fff', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Current u</span>
+            </div>
+            {!step.forwardL && (
+              <div style={{ display: 'flex', alignItems: 'center' }}>
+                <div style={{ width: '1rem', height: '1rem', border: '3px solid #00bcd4', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+                <span>In L</span>
+              </div>
+            )}
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '0', borderTop: '2px dashed #ecf0f1', marginRight: '0.5rem' }}></div>
+              <span>Search Tree</span>
+            </div>
+          </>
+        )}
+        {step?.candidate !== undefined && (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', border: '3px dashed #4CAF50', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Accepted Candidate</span>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', border: '3px dashed #f44336', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Rejected Candidate</span>
+            </div>
+          </>
+        )}
+        {step?.forwardL && (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', border: '3px solid #9b59b6', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Forward Frontier</span>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', border: '3px solid #f1c40f', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Backward Frontier</span>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <div style={{ width: '1rem', height: '1rem', backgroundColor: '#e91e63', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+              <span>Meeting Node</span>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { createGridWorld, GRID_HEURISTICS } from '../algorithms/Grid/gridWorld';
+import { GRID_COLORS, terrainColor } from './gridColors';
+
+// Brushes for painting the grid
+const BRUSHES = [
+  { id: 'wall', name: 'Wall' },
+  { id: 'terrain3', name: 'Terrain (cost 3)' },
+  { id: 'terrain5', name: 'Terrain (cost 5)' },
+  { id: 'erase', name: 'Erase (cost 1)' },
+  { id: 'start', name: 'Start' },
+  { id: 'goal', name: 'Goal' }
+];
+
+const GridInput = ({ world, onWorldChange }) => {
+  const [brush, setBrush] = useState('wall');
+  const [painting, setPainting] = useState(false);
+  const [rows, setRows] = useState(world.rows);
+  const [cols, setCols] = useState(world.cols);
+
+  const isSameCell = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+  const paintCell = (row, col) => {
+    const cell = [row, col];
+    const cells = world.cells.map(cellRow => [...cellRow]);
+
+    if (brush === 'start' || brush === 'goal') {
+      const other = brush === 'start' ? world.goal : world.start;
+      if (isSameCell(cell, other)) return;
+      if (cells[row][col] === null) {
+        cells[row][col] = 1;
+      }
+      onWorldChange({ ...world, cells, [brush]: cell });
+      return;
+    }
+
+    // Keep the start and goal cells open
+    if (isSameCell(cell, world.start) || isSameCell(cell, world.goal)) {
+      if (brush === 'wall') return;
+    }
+
+    const values = { wall: null, terrain3: 3, terrain5: 5, erase: 1 };
+    if (cells[row][col] === values[brush]) return;
+    cells[row][col] = values[brush];
+    onWorldChange({ ...world, cells });
+  };
+
+  const handleResize = () => {
+    onWorldChange({
+      ...createGridWorld(rows, cols),
+      connectivity: world.connectivity,
+      heuristic: world.heuristic
+    });
+  };
+
+  const cellSize = Math.max(12, Math.min(32, Math.floor(560 / world.cols)));
+
+  return (
+    <div className="card">
+      <h2>Grid Input</h2>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
+        <div>
+          <label>
+            Brush
+          </label>
+          <select value={brush} onChange={(e) => setBrush(e.target.value)}>
+            {BRUSHES.map(item => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label>
+            Connectivity
+          </label>
+          <select
+            value={world.connectivity}
+            onChange={(e) => onWorldChange({ ...world, connectivity: parseInt(e.target.value, 10) })}
+          >
+            <option value={4}>4-connected</option>
+            <option value={8}>8-connected</option>
+          </select>
+        </div>
+
+        <div>
+          <label>
+            Heuristic h(n)
+          </label>
+          <select
+            value={world.heuristic}
+            onChange={(e) => onWorldChange({ ...world, heuristic: e.target.value })}
+          >
+            {Object.entries(GRID_HEURISTICS).map(([id, heuristic]) => (
+              <option key={id} value={id}>
+                {heuristic.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${world.cols}, ${cellSize}px)`,
+          gap: '1px',
+          marginTop: '1rem',
+          width: 'fit-content',
+          userSelect: 'none'
+        }}
+        onMouseUp={() => setPainting(false)}
+        onMouseLeave={() => setPainting(false)}
+      >
+        {world.cells.map((cellRow, row) => cellRow.map((cost, col) => {
+          const isStart = isSameCell([row, col], world.start);
+          const isGoal = isSameCell([row, col], world.goal);
+
+          return (
+            <div
+              key={`${row}-${col}`}
+              onMouseDown={() => {
+                setPainting(true);
+                paintCell(row, col);
+              }}
+              onMouseEnter={() => painting && paintCell(row, col)}
+              style={{
+                width: `${cellSize}px`,
+                height: `${cellSize}px`,
+                backgroundColor: isStart ? GRID_COLORS.start : isGoal ? GRID_COLORS.goal : terrainColor(cost),
+                cursor: 'pointer',
+                fontSize: '0.7rem',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: '#fff'
+              }}
+            >
+              {isStart ? 'S' : isGoal ? 'G' : cost > 1 ? cost : ''}
+            </div>
+          );
+        }))}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '1rem', alignItems: 'end', marginTop: '1rem' }}>
+        <div>
+          <label>
+            Rows
+          </label>
+          <input
+            type="number"
+            min="2"
+            max="40"
+            value={rows}
+            onChange={(e) => setRows(Math.min(40, Math.max(2, parseInt(e.target.value, 10) || 2)))}
+          />
+        </div>
+        <div>
+          <label>
+            Columns
+          </label>
+          <input
+            type="number"
+            min="2"
+            max="40"
+            value={cols}
+            onChange={(e) => setCols(Math.min(40, Math.max(2, parseInt(e.target.value, 10) || 2)))}
+          />
+        </div>
+        <button onClick={handleResize}>
+          New Grid
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GridInput;
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { cellName } from '../algorithms/Grid/gridWorld';
+import { stepFrontier } from '../algorithms/stepTrace';
+import { GRID_COLORS, terrainColor } from './gridColors';
+
+const GridVisualization = ({ world, steps, currentStep, path, onStepChange }) => {
+  const [playing, setPlaying] = useState(false);
+
+  // Advance one step at a time while the animation is playing
+  useEffect(() => {
+    if (!playing) return;
+    if (currentStep >= steps.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => onStepChange(currentStep + 1), 150);
+    return () => clearTimeout(timer);
+  }, [playing, currentStep, steps.length, onStepChange]);
+
+  const step = steps[currentStep];
+
+  // Nodes expanded up to the current step, in expansion order
+  const expanded = new Set();
+  steps.slice(0, currentStep + 1).forEach(entry => {
+    if (entry.u) expanded.add(entry.u);
+  });
+  const frontier = new Set(stepFrontier(step));
+  const finalPath = new Set(steps.length > 0 && currentStep === steps.length - 1 ? path || [] : []);
+
+  const cellSize = Math.max(12, Math.min(32, Math.floor(560 / world.cols)));
+
+  const cellColor = (row, col, cost) => {
+    const name = cellName(row, col);
+    if (row === world.start[0] && col === world.start[1]) return GRID_COLORS.start;
+    if (row === world.goal[0] && col === world.goal[1]) return GRID_COLORS.goal;
+    if (finalPath.has(name)) return GRID_COLORS.path;
+    if (step?.u === name) return GRID_COLORS.current;
+    if (expanded.has(name)) return GRID_COLORS.expanded;
+    return terrainColor(cost);
+  };
+
+  const legend = [
+    { color: GRID_COLORS.start, label: 'Start' },
+    { color: GRID_COLORS.goal, label: 'Goal' },
+    { color: GRID_COLORS.current, label: 'Current u' },
+    { color: GRID_COLORS.expanded, label: 'Expanded' },
+    { color: GRID_COLORS.path, label: 'Path' }
+  ];
+
+  return (
+    <div className="card">
+      <h2>Grid Visualization</h2>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+        <button
+          onClick={() => {
+            if (!playing && currentStep >= steps.length - 1) {
+              onStepChange(0);
+            }
+            setPlaying(!playing);
+          }}
+          disabled={steps.length === 0}
+        >
+          {playing ? 'Pause' : 'Animate Expansion'}
+        </button>
+      </div>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${world.cols}, ${cellSize}px)`,
+          gap: '1px',
+          width: 'fit-content'
+        }}
+      >
+        {world.cells.map((cellRow, row) => cellRow.map((cost, col) => (
+          <div
+            key={`${row}-${col}`}
+            style={{
+              width: `${cellSize}px`,
+              height: `${cellSize}px`,
+              boxSizing: 'border-box',
+              backgroundColor: cellColor(row, col, cost),
+              border: frontier.has(cellName(row, col)) ? `2px solid ${GRID_COLORS.frontier}` : 'none'
+            }}
+          />
+        )))}
+      </div>
+
+      <div style={{ marginTop: '0.5rem', display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1.5rem' }}>
+        {legend.map(item => (
+          <div key={item.label} style={{ display: 'flex', alignItems: 'center' }}>
+            <div style={{ width: '1rem', height: '1rem', backgroundColor: item.color, marginRight: '0.5rem' }}></div>
+            <span>{item.label}</span>
+          </div>
+        ))}
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <div style={{ width: '1rem', height: '1rem', border: `2px solid ${GRID_COLORS.frontier}`, marginRight: '0.5rem' }}></div>
+          <span>In L</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GridVisualization;
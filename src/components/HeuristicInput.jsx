@@ -1,15 +1,27 @@
 import React, { useState } from 'react';
-
-const HeuristicInput = ({ graph, onHeuristicChange, onCostFunctionChange }) => {
-  const [heuristicText, setHeuristicText] = useState('');
-  const [costFunctionText, setCostFunctionText] = useState('');
+import { analyzeHeuristic } from '../algorithms';
+import { formatScenarioText } from '../algorithms/scenarioFormats';
+import { NUMBER_PATTERN } from '../algorithms/graphText';
+
+const HeuristicInput = ({
+  graph,
+  goalState,
+  heuristicValues,
+  costValues,
+  onHeuristicChange,
+  onCostFunctionChange
+}) => {
+  // Start from the parsed values, e.g. after a scenario import
+  const [heuristicText, setHeuristicText] = useState(() => formatScenarioText({ heuristicValues }).heuristicText);
+  const [costFunctionText, setCostFunctionText] = useState(() => formatScenarioText({ costValues }).costText);
   const [error, setError] = useState('');
   const [heuristicFormatError, setHeuristicFormatError] = useState('');
   const [costFormatError, setCostFormatError] = useState('');
 
-  // Regular expressions for validating input formats
-  const heuristicLineRegex = /^[A-Za-z0-9]+:\s*-?\d+(\.\d+)?$/;
-  const costFunctionLineRegex = /^[A-Za-z0-9]+,\s*[A-Za-z0-9]+:\s*-?\d+(\.\d+)?$/;
+  // Regular expressions for validating input formats; the numbers follow the
+  // graph text, which shows the same values
+  const heuristicLineRegex = new RegExp(`^[A-Za-z0-9]+:\\s*${NUMBER_PATTERN}$`);
+  const costFunctionLineRegex = new RegExp(`^[A-Za-z0-9]+,\\s*[A-Za-z0-9]+:\\s*${NUMBER_PATTERN}$`);
 
   const validateHeuristicFormat = (text) => {
     if (!text.trim()) return true; // Empty input is valid during typing
@@ -143,6 +155,14 @@ const HeuristicInput = ({ graph, onHeuristicChange, onCostFunctionChange }) => {
     }
   };
 
+  // Check the parsed heuristic against the true costs to the goal.
+  // Edges without a listed cost cost 1, as in the search page.
+  const analysis = graph && goalState && Object.keys(heuristicValues).length > 0
+    ? analyzeHeuristic(graph, goalState, heuristicValues, (u, v) => costValues[`${u},${v}`] ?? 1)
+    : null;
+
+  const formatValue = (value) => (value === Infinity ? '∞' : value);
+
   return (
     <div className="card">
       <h2>Heuristic and Cost Functions</h2>
@@ -202,6 +222,69 @@ const HeuristicInput = ({ graph, onHeuristicChange, onCostFunctionChange }) => {
           <strong>Warning:</strong> {error}
         </div>
       )}
+
+      {analysis && (
+        <div style={{ marginTop: '1rem' }}>
+          <h3 style={{ fontWeight: '500', marginBottom: '0.5rem' }}>
+            Heuristic Check{' '}
+            <span
+              style={{
+                padding: '0.1rem 0.5rem',
+                borderRadius: '0.25rem',
+                color: '#fff',
+                backgroundColor: !analysis.admissible ? '#f44336' : !analysis.consistent ? '#f39c12' : '#4CAF50'
+              }}
+            >
+              {!analysis.admissible ? 'Not admissible' : !analysis.consistent ? 'Admissible, not consistent' : 'Admissible and consistent'}
+            </span>
+          </h3>
+
+          <p style={{ fontSize: '0.9rem' }}>
+            {!analysis.admissible
+              ? 'h(n) overestimates the true cost to the goal h*(n) at some nodes. A* may then take the goal out of L through a more expensive path before the cheaper one looks promising, and return a non-optimal path.'
+              : !analysis.consistent
+                ? 'h never overestimates, so A* still finds an optimal path, but f can decrease along a path. A node may be reached again with a smaller g after it was expanded, so a graph search that never reopens expanded nodes can return a non-optimal path.'
+                : 'h never overestimates and f never decreases along a path, so A* returns an optimal path and never needs to reopen an expanded node.'}
+          </p>
+
+          <div style={{ overflowX: 'auto', marginTop: '0.5rem' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>n</th>
+                  <th>h(n)</th>
+                  <th>h*(n)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(analysis.trueCosts).map(([node, hStar]) => {
+                  const overestimates = analysis.inadmissible.some(entry => entry.node === node);
+                  return (
+                    <tr key={node} style={overestimates ? { color: '#f44336', fontWeight: '500' } : undefined}>
+                      <td>{node}</td>
+                      <td>{node in heuristicValues ? heuristicValues[node] : '-'}</td>
+                      <td>{formatValue(hStar)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {analysis.inconsistent.length > 0 && (
+            <div style={{ marginTop: '0.5rem', color: '#f39c12' }}>
+              <strong>Inconsistent edges (h(u) &gt; k(u,v) + h(v)):</strong>
+              <ul style={{ listStyleType: 'disc', paddingLeft: '1.5rem' }}>
+                {analysis.inconsistent.map(({ u, v, hU, cost, hV }) => (
+                  <li key={`${u},${v}`}>
+                    {u} → {v}: h({u}) = {hU} &gt; k({u},{v}) + h({v}) = {cost} + {hV} = {cost + hV}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -18,6 +18,14 @@ function Navigation() {
               Search Algorithms
             </NavLink>
           </li>
+          <li>
+            <NavLink 
+              to="/puzzle" 
+              className={({ isActive }) => isActive ? 'active' : ''}
+            >
+              Sliding Puzzle
+            </NavLink>
+          </li>
           <li>
             <NavLink 
               to="/draughts" 
@@ -11,10 +11,17 @@ const ResultDisplay = ({ result }) => {
 
       <div style={{ padding: '0.75rem', backgroundColor: '#333', border: '1px solid #444', borderRadius: '0.25rem' }}>
         <p style={{ fontWeight: '500' }}>
-          {result.success ? (
+          {result.success && result.restartFrom ? (
+            <>
+              <span style={{ color: '#f39c12' }}>Goal reached after a restart.</span> Path from the restart
+              node {result.restartFrom}, not from the start state: {result.path.join(' → ')}
+            </>
+          ) : result.success ? (
             <>
               <span style={{ color: '#4CAF50' }}>Search successful!</span> Path found: {result.path.join(' → ')}
             </>
+          ) : result.limitReached ? (
+            <span style={{ color: '#f44336' }}>Search stopped at the expansion limit. No path found.</span>
           ) : (
             <span style={{ color: '#f44336' }}>Search failed. No path found.</span>
           )}
@@ -25,7 +32,51 @@ const ResultDisplay = ({ result }) => {
             Path length: {result.path.length} nodes
           </p>
         )}
+
+        {result.success && result.weight > 1 && (
+          <p style={{ marginTop: '0.5rem' }}>
+            Suboptimality bound (w = {result.weight}): path cost {result.cost} ≤ {result.weight} × optimal cost,
+            so the optimal cost is at least {Number((result.cost / result.weight).toFixed(2))} (assuming h is admissible)
+          </p>
+        )}
       </div>
+
+      {result.metrics && (
+        <table style={{ marginTop: '1rem' }}>
+          <tbody>
+            <tr>
+              <th>Total cost</th>
+              <td>
+                {result.metrics.totalCost === null
+                  ? '-'
+                  : Math.round(result.metrics.totalCost * 1000) / 1000}
+              </td>
+            </tr>
+            <tr>
+              <th>Nodes generated</th>
+              <td>{result.metrics.generated}</td>
+            </tr>
+            <tr>
+              <th>Nodes expanded</th>
+              <td>{result.metrics.expanded}</td>
+            </tr>
+            <tr>
+              <th>Max |L|</th>
+              <td>{result.metrics.maxFrontier}</td>
+            </tr>
+            <tr>
+              <th>Re-expansions</th>
+              <td>{result.metrics.reExpansions}</td>
+            </tr>
+            {result.metrics.pruned !== undefined && (
+              <tr>
+                <th>Pruned (f &gt; best cost)</th>
+                <td>{result.metrics.pruned}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 };
@@ -1,6 +1,30 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+
+const StepDisplay = ({ steps, currentStep, onStepChange, renderState }) => {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(2);
+
+  // Advance one step at a time while playing, stopping at the last step
+  useEffect(() => {
+    if (!playing) return;
+    if (!steps || currentStep >= steps.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => onStepChange(currentStep + 1), 1000 / speed);
+    return () => clearTimeout(timer);
+  }, [playing, speed, currentStep, steps, onStepChange]);
+
+  // Largest frontier up to each step, to compare the memory profile of
+  // algorithms; computed once per trace instead of on every step
+  const peakFrontiers = useMemo(() => {
+    const peaks = [];
+    (steps || []).forEach((entry, index) => {
+      peaks.push(Math.max(index > 0 ? peaks[index - 1] : 0, entry.L.length));
+    });
+    return peaks;
+  }, [steps]);
 
-const StepDisplay = ({ steps, currentStep, onStepChange }) => {
   if (!steps || steps.length === 0) {
     return (
       <div className="card">
@@ -12,6 +36,37 @@ const StepDisplay = ({ steps, currentStep, onStepChange }) => {
 
   const step = steps[currentStep];
 
+  // Show a list of state keys as text, or as drawings when the domain provides renderState
+  const formatStates = (keys) => {
+    if (!renderState) {
+      return keys.join(', ');
+    }
+    return (
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+        {keys.map((key, index) => (
+          <div key={`${key}-${index}`}>{renderState(key)}</div>
+        ))}
+      </div>
+    );
+  };
+
+  const peakFrontier = peakFrontiers[currentStep];
+
+  // Group steps by iteration for iterative deepening algorithms (IDA*, IDDFS)
+  const iterations = [];
+  steps.forEach((entry, index) => {
+    if (!entry.iteration) return;
+    const last = iterations[iterations.length - 1];
+    if (last && last.iteration === entry.iteration) {
+      last.lastStep = index;
+    } else {
+      const bound = entry.threshold !== undefined
+        ? `threshold = ${entry.threshold}`
+        : `depth limit = ${entry.depthLimit}`;
+      iterations.push({ iteration: entry.iteration, bound, firstStep: index, lastStep: index });
+    }
+  });
+
   return (
     <div className="card">
       <h2>Algorithm Steps</h2>
@@ -20,6 +75,17 @@ const StepDisplay = ({ steps, currentStep, onStepChange }) => {
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
           <span style={{ fontWeight: '500' }}>Step {currentStep + 1} of {steps.length}</span>
           <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              style={{ padding: '0.25rem 0.75rem', backgroundColor: playing ? '#f39c12' : '#4CAF50' }}
+              onClick={() => {
+                if (!playing && currentStep >= steps.length - 1) {
+                  onStepChange(0);
+                }
+                setPlaying(!playing);
+              }}
+            >
+              {playing ? 'Pause' : 'Play'}
+            </button>
             <button
               style={{ padding: '0.25rem 0.75rem', backgroundColor: '#ccc' }}
               onClick={() => onStepChange(0)}
@@ -51,42 +117,188 @@ const StepDisplay = ({ steps, currentStep, onStepChange }) => {
           </div>
         </div>
 
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+          <label style={{ whiteSpace: 'nowrap', marginBottom: 0 }}>
+            Speed: {speed} steps/s
+          </label>
+          <input
+            type="range"
+            min="0.5"
+            max="10"
+            step="0.5"
+            value={speed}
+            onChange={(e) => setSpeed(parseFloat(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+
         <div style={{ padding: '0.75rem', backgroundColor: '#333', border: '1px solid #444', borderRadius: '0.25rem' }}>
           <p style={{ fontWeight: '500' }}>{step.description}</p>
+          {(step.status === 'plateau' || step.status === 'localOptimum') && (
+            <p style={{ marginTop: '0.25rem' }}>
+              <span style={{ padding: '0.1rem 0.5rem', borderRadius: '0.25rem', backgroundColor: step.status === 'plateau' ? '#f39c12' : '#f44336', color: '#fff' }}>
+                {step.status === 'plateau' ? 'Plateau' : 'Local optimum'}
+              </span>
+            </p>
+          )}
+          <p style={{ marginTop: '0.25rem', fontSize: '0.9rem' }}>
+            |L| = {step.L.length} (peak so far: {peakFrontier})
+          </p>
         </div>
       </div>
 
+      {iterations.length > 0 && (
+        <div style={{ marginBottom: '1rem' }}>
+          <h3 style={{ fontWeight: '500', marginBottom: '0.5rem' }}>Iterations</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+            {iterations.map(group => (
+              <button
+                key={`iteration-${group.iteration}`}
+                style={{
+                  padding: '0.25rem 0.75rem',
+                  backgroundColor: group.iteration === step.iteration ? '#4CAF50' : '#ccc'
+                }}
+                onClick={() => onStepChange(group.firstStep)}
+              >
+                Iteration {group.iteration} ({group.bound}): steps {group.firstStep + 1}–{group.lastStep + 1}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div style={{ overflowX: 'auto' }}>
         <table>
           <thead>
             <tr>
               <th>u</th>
               <th>Neighbors of u</th>
-              <th>L</th>
+              {step.backwardL !== undefined ? (
+                <>
+                  <th>Direction</th>
+                  <th>Forward L</th>
+                  <th>Backward L</th>
+                  <th>Meeting node</th>
+                </>
+              ) : (
+                <th>L</th>
+              )}
+              {step.closed !== undefined && (
+                <th>CLOSED</th>
+              )}
+              {step.threshold !== undefined && (
+                <>
+                  <th>Threshold</th>
+                  <th>Cut off</th>
+                  <th>Next threshold</th>
+                </>
+              )}
+              {step.dropped !== undefined && (
+                <>
+                  <th>Dropped from beam</th>
+                  <th>All dropped so far</th>
+                </>
+              )}
+              {step.restart !== undefined && (
+                <th>Restart</th>
+              )}
+              {step.temperature !== undefined && (
+                <>
+                  <th>T</th>
+                  <th>Candidate</th>
+                  <th>ΔE</th>
+                  <th>P(accept)</th>
+                  <th>Accepted</th>
+                </>
+              )}
+              {step.depthLimit !== undefined && (
+                <>
+                  <th>Depth limit</th>
+                  <th>Cut off</th>
+                </>
+              )}
             </tr>
           </thead>
           <tbody>
             <tr>
               <td>
-                {step.u || '-'}
-              </td>
-              <td>
-                {step.neighbors ? step.neighbors.join(', ') : '-'}
+                {step.u ? formatStates([step.u]) : '-'}
               </td>
               <td>
-                {step.L.length > 0 ? step.L.join(', ') : 'Empty'}
+                {step.neighbors ? formatStates(step.neighbors) : '-'}
               </td>
+              {step.backwardL !== undefined ? (
+                <>
+                  <td>{step.direction || '-'}</td>
+                  <td>{step.forwardL.length > 0 ? step.forwardL.join(', ') : 'Empty'}</td>
+                  <td>{step.backwardL.length > 0 ? step.backwardL.join(', ') : 'Empty'}</td>
+                  <td>{step.meetingNode || '-'}</td>
+                </>
+              ) : (
+                <td>
+                  {step.L.length > 0 ? formatStates(step.L) : 'Empty'}
+                </td>
+              )}
+              {step.closed !== undefined && (
+                <td>
+                  {step.mode === 'tree'
+                    ? 'Not kept (tree search)'
+                    : step.closed.length > 0 ? formatStates(step.closed) : 'Empty'}
+                </td>
+              )}
+              {step.threshold !== undefined && (
+                <>
+                  <td>{step.threshold}</td>
+                  <td>{step.cutoff.length > 0 ? step.cutoff.join(', ') : '-'}</td>
+                  <td>{step.nextThreshold === null ? '-' : step.nextThreshold === Infinity ? '∞' : step.nextThreshold}</td>
+                </>
+              )}
+              {step.dropped !== undefined && (
+                <>
+                  <td>{step.dropped.length > 0 ? step.dropped.join(', ') : '-'}</td>
+                  <td>{step.droppedTotal.length > 0 ? step.droppedTotal.join(', ') : '-'}</td>
+                </>
+              )}
+              {step.restart !== undefined && (
+                <td>{step.restart}</td>
+              )}
+              {step.temperature !== undefined && (
+                <>
+                  <td>{step.temperature.toFixed(3)}</td>
+                  <td>{step.candidate || '-'}</td>
+                  <td>{step.deltaE === null ? '-' : step.deltaE}</td>
+                  <td>{step.acceptanceProbability === null ? '-' : step.acceptanceProbability.toFixed(3)}</td>
+                  <td>{step.accepted === null ? '-' : step.accepted ? 'Yes' : 'No'}</td>
+                </>
+              )}
+              {step.depthLimit !== undefined && (
+                <>
+                  <td>{step.depthLimit}</td>
+                  <td>{step.cutoff.length > 0 ? step.cutoff.join(', ') : '-'}</td>
+                </>
+              )}
             </tr>
           </tbody>
         </table>
       </div>
 
-      {/* Additional information for A* and Branch and Bound */}
-      {(step.g || step.f) && (
+      {/* Additional information for A*, Branch and Bound and local search */}
+      {(step.g || step.f || step.h) && (
         <div style={{ marginTop: '1rem' }}>
           <h3 style={{ fontWeight: '500', marginBottom: '0.5rem' }}>Additional Information</h3>
 
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+            {step.h && (
+              <div>
+                <h4 style={{ fontWeight: '500' }}>h values:</h4>
+                <ul style={{ listStyleType: 'disc', paddingLeft: '1.5rem' }}>
+                  {Object.entries(step.h).map(([node, value]) => (
+                    <li key={`h-${node}`}>h({node}) = {value}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {step.g && (
               <div>
                 <h4 style={{ fontWeight: '500' }}>g values:</h4>
@@ -108,6 +320,28 @@ const StepDisplay = ({ steps, currentStep, onStepChange }) => {
                 </ul>
               </div>
             )}
+
+            {step.gBackward && (
+              <div>
+                <h4 style={{ fontWeight: '500' }}>Backward g values:</h4>
+                <ul style={{ listStyleType: 'disc', paddingLeft: '1.5rem' }}>
+                  {Object.entries(step.gBackward).map(([node, value]) => (
+                    <li key={`gb-${node}`}>g_b({node}) = {value}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {step.fBackward && (
+              <div>
+                <h4 style={{ fontWeight: '500' }}>Backward f values:</h4>
+                <ul style={{ listStyleType: 'disc', paddingLeft: '1.5rem' }}>
+                  {Object.entries(step.fBackward).map(([node, value]) => (
+                    <li key={`fb-${node}`}>f_b({node}) = {value}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           {step.cost !== undefined && (
@@ -0,0 +1,398 @@
+import { replayTrace, stepFrontier } from '../algorithms/stepTrace';
+
+// Draw an arrowhead where the edge from (x1, y1) to (x2, y2) meets the target node
+const drawArrowhead = (ctx, x1, y1, x2, y2, nodeRadius) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const tipX = x2 - nodeRadius * Math.cos(angle);
+  const tipY = y2 - nodeRadius * Math.sin(angle);
+  const size = Math.max(6, nodeRadius * 0.5);
+
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(tipX - size * Math.cos(angle - Math.PI / 6), tipY - size * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(tipX - size * Math.cos(angle + Math.PI / 6), tipY - size * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.fill();
+};
+
+// The area two rectangles { x, y, width, height } have in common
+const overlapArea = (a, b) =>
+  Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)) *
+  Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+
+// Draw a label at the first candidate point where it overlaps no node, no
+// earlier label and stays on the canvas, or else where it overlaps least
+const drawLabel = (ctx, text, candidates, occupied, color) => {
+  const { width: canvasWidth, height: canvasHeight } = ctx.canvas;
+  const width = ctx.measureText(text).width + 6;
+  const height = parseInt(ctx.font, 10) + 4;
+  let best = null;
+  let bestOverlap = Infinity;
+
+  for (const { x, y } of candidates) {
+    const rect = { x: x - width / 2, y: y - height / 2, width, height };
+    const outside = width * height - overlapArea(rect, { x: 0, y: 0, width: canvasWidth, height: canvasHeight });
+    const overlap = occupied.reduce((sum, other) => sum + overlapArea(rect, other), outside);
+    if (overlap < bestOverlap) {
+      best = rect;
+      bestOverlap = overlap;
+      if (overlap === 0) break;
+    }
+  }
+
+  occupied.push(best);
+  ctx.fillStyle = 'rgba(30, 30, 30, 0.85)';
+  ctx.fillRect(best.x, best.y, best.width, best.height);
+  ctx.fillStyle = color;
+  ctx.fillText(text, best.x + best.width / 2, best.y + best.height / 2);
+};
+
+/**
+ * Choose the node radius for a graph: smaller nodes for larger graphs, so
+ * that more than a dozen nodes still fit next to each other
+ *
+ * @param {number} nodeCount - The number of nodes
+ * @param {number} [maxRadius=20] - The radius of the nodes of small graphs
+ * @returns {number} - The radius in pixels
+ */
+export function nodeRadiusFor(nodeCount, maxRadius = 20) {
+  if (nodeCount <= 12) return maxRadius;
+  return Math.max(Math.round(maxRadius * 0.4), Math.round(maxRadius * Math.sqrt(12 / nodeCount)));
+}
+
+/**
+ * Place the nodes of a graph on a canvas
+ *
+ * Nodes with a position of their own keep it; the others sit on a circle.
+ * Positions are given as fractions of the canvas width and height, so the
+ * same positions fit canvases of any size.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {Object} positions - { node: { x, y } } with x and y between 0 and 1
+ * @param {number} width - The width of the canvas in pixels
+ * @param {number} height - The height of the canvas in pixels
+ * @param {number} [nodeRadius=20] - The radius of a node in pixels
+ * @returns {Object} - { node: { x, y } } in pixels
+ */
+export function computeNodePositions(graph, positions, width, height, nodeRadius = 20) {
+  const nodes = Object.keys(graph);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(centerX, centerY) - nodeRadius * 2.5;
+  const nodePositions = {};
+
+  nodes.forEach((node, index) => {
+    if (positions[node]) {
+      nodePositions[node] = { x: positions[node].x * width, y: positions[node].y * height };
+      return;
+    }
+
+    const angle = (index / nodes.length) * 2 * Math.PI;
+    nodePositions[node] = { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) };
+  });
+
+  return nodePositions;
+}
+
+/**
+ * Find the node under a point of the canvas
+ *
+ * @param {Object} nodePositions - { node: { x, y } } in pixels
+ * @param {number} x - The x coordinate of the point
+ * @param {number} y - The y coordinate of the point
+ * @param {number} [nodeRadius=20] - The radius of a node in pixels
+ * @returns {string|null} - The topmost node under the point
+ */
+export function findNodeAt(nodePositions, x, y, nodeRadius = 20) {
+  const hits = Object.entries(nodePositions).filter(([, position]) =>
+    Math.hypot(position.x - x, position.y - y) <= nodeRadius
+  );
+  return hits.length > 0 ? hits[hits.length - 1][0] : null;
+}
+
+/**
+ * Find the edge under a point of the canvas
+ *
+ * @param {Object} graph - The graph representation
+ * @param {Object} nodePositions - { node: { x, y } } in pixels
+ * @param {number} x - The x coordinate of the point
+ * @param {number} y - The y coordinate of the point
+ * @param {number} [tolerance=6] - The largest distance to the edge in pixels
+ * @returns {Array|null} - The edge [u, v] closest to the point
+ */
+export function findEdgeAt(graph, nodePositions, x, y, tolerance = 6) {
+  let closest = null;
+  let closestDistance = tolerance;
+
+  for (const [u, neighbors] of Object.entries(graph)) {
+    for (const v of neighbors) {
+      const a = nodePositions[u];
+      const b = nodePositions[v];
+      if (!a || !b || u === v) continue;
+
+      // Distance from the point to the segment a–b
+      const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+      const t = Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSquared));
+      const distance = Math.hypot(x - (a.x + t * (b.x - a.x)), y - (a.y + t * (b.y - a.y)));
+
+      if (distance <= closestDistance) {
+        closest = [u, v];
+        closestDistance = distance;
+      }
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Draw a graph and the progress of a search on a canvas
+ *
+ * Nodes sit where computeNodePositions puts them. Up to the current step, expanded nodes are shaded,
+ * u and the members of L are outlined and the partial search tree is drawn;
+ * the path is drawn once the last step is reached. A pair of opposite edges
+ * with the same cost is drawn as one undirected edge, any other edge gets an
+ * arrowhead. With showLabels, nodes are labelled with h(n) and, once any
+ * cost is given, edges with k(u,v).
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {Object} props - { graph, costValues, heuristicValues, positions, showLabels,
+ *   startState, goalState, path, steps, currentStep }
+ * @param {number} [nodeRadius=20] - The radius of a node in pixels
+ */
+export function drawSearchGraph(
+  canvas,
+  {
+    graph,
+    costValues = {},
+    heuristicValues = {},
+    positions = {},
+    showLabels = true,
+    startState,
+    goalState,
+    path,
+    steps = [],
+    currentStep = 0
+  },
+  nodeRadius = 20
+) {
+  const step = steps[currentStep];
+  const ctx = canvas.getContext('2d');
+
+  // Clear canvas
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Get all nodes and their positions
+  const nodes = Object.keys(graph);
+  const nodePositions = computeNodePositions(graph, positions, canvas.width, canvas.height, nodeRadius);
+
+  // Draw edges
+  ctx.strokeStyle = '#888';
+  ctx.lineWidth = 1;
+
+  const edgeCost = (u, v) => costValues[`${u},${v}`] ?? 1;
+  const drawnUndirected = new Set();
+  const edgeLabels = [];
+
+  nodes.forEach(node => {
+    const neighbors = graph[node] || [];
+    const { x: x1, y: y1 } = nodePositions[node];
+
+    neighbors.forEach(neighbor => {
+      if (neighbor in nodePositions) {
+        const { x: x2, y: y2 } = nodePositions[neighbor];
+        const undirected = (graph[neighbor] || []).includes(node) && edgeCost(node, neighbor) === edgeCost(neighbor, node);
+
+        // Draw an undirected edge once, from whichever end comes first
+        if (undirected) {
+          if (drawnUndirected.has(`${neighbor},${node}`)) return;
+          drawnUndirected.add(`${node},${neighbor}`);
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+
+        if (!undirected && node !== neighbor) {
+          drawArrowhead(ctx, x1, y1, x2, y2, nodeRadius);
+        }
+
+        if (node !== neighbor) {
+          // The labels of two opposite directed edges go on either side of the line
+          const twoWay = !undirected && (graph[neighbor] || []).includes(node);
+          edgeLabels.push({ u: node, v: neighbor, cost: edgeCost(node, neighbor), twoWay });
+        }
+      }
+    });
+  });
+
+  // What the search has built up to the current step
+  const { expanded, cameFrom, cameFromBackward } = replayTrace(steps, currentStep);
+  const frontier = new Set(step?.forwardL ? [] : stepFrontier(step));
+
+  // Show the final path once the last step is reached
+  const finalPath = steps.length === 0 || currentStep === steps.length - 1 ? path || [] : [];
+
+  // Draw the partial search tree(s): every reached node linked to its parent
+  ctx.strokeStyle = '#ecf0f1';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 4]);
+  [...Object.entries(cameFrom), ...Object.entries(cameFromBackward)].forEach(([node, parent]) => {
+    if (node in nodePositions && parent in nodePositions) {
+      const { x: x1, y: y1 } = nodePositions[parent];
+      const { x: x2, y: y2 } = nodePositions[node];
+
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    }
+  });
+  ctx.setLineDash([]);
+
+  // Draw path if available
+  if (finalPath.length > 1) {
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 3;
+
+    for (let i = 0; i < finalPath.length - 1; i++) {
+      const node1 = finalPath[i];
+      const node2 = finalPath[i + 1];
+
+      if (node1 in nodePositions && node2 in nodePositions) {
+        const { x: x1, y: y1 } = nodePositions[node1];
+        const { x: x2, y: y2 } = nodePositions[node2];
+
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+      }
+    }
+  }
+
+  // Draw nodes
+  nodes.forEach(node => {
+    const { x, y } = nodePositions[node];
+
+    // Determine node color
+    let fillColor = '#3498db';
+
+    if (node === startState) {
+      fillColor = '#e74c3c';
+    } else if (node === goalState) {
+      fillColor = '#2ecc71';
+    } else if (step?.meetingNode === node) {
+      fillColor = '#e91e63';
+    } else if (finalPath.includes(node)) {
+      fillColor = '#f39c12';
+    } else if (expanded.includes(node)) {
+      fillColor = '#1f4e6e';
+    }
+
+    // Draw node circle
+    ctx.beginPath();
+    ctx.arc(x, y, nodeRadius, 0, 2 * Math.PI);
+    ctx.fillStyle = fillColor;
+    ctx.fill();
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // Outline the current node u and the candidate neighbor of a local search step
+    if (node === step?.u) {
+      ctx.beginPath();
+      ctx.arc(x, y, nodeRadius + 4, 0, 2 * Math.PI);
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+    }
+    if (step?.candidate === node) {
+      ctx.beginPath();
+      ctx.arc(x, y, nodeRadius + 4, 0, 2 * Math.PI);
+      ctx.strokeStyle = step.accepted ? '#4CAF50' : '#f44336';
+      ctx.lineWidth = 3;
+      ctx.setLineDash([5, 3]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Outline the nodes in L
+    if (frontier.has(node)) {
+      ctx.beginPath();
+      ctx.arc(x, y, nodeRadius + 4, 0, 2 * Math.PI);
+      ctx.strokeStyle = '#00bcd4';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+    }
+
+    // Outline the nodes in the forward and backward frontiers of a bidirectional search
+    const inForward = step?.forwardL?.includes(node);
+    const inBackward = step?.backwardL?.includes(node);
+    if (inForward || inBackward) {
+      ctx.lineWidth = 4;
+      if (inForward) {
+        ctx.beginPath();
+        ctx.arc(x, y, nodeRadius + 4, 0, 2 * Math.PI);
+        ctx.strokeStyle = '#9b59b6';
+        ctx.stroke();
+      }
+      if (inBackward) {
+        ctx.beginPath();
+        ctx.arc(x, y, nodeRadius + (inForward ? 9 : 4), 0, 2 * Math.PI);
+        ctx.strokeStyle = '#f1c40f';
+        ctx.stroke();
+      }
+    }
+
+    // Draw node label
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${Math.round(nodeRadius * 0.8)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(node, x, y);
+  });
+
+  if (!showLabels) return;
+
+  // Label the nodes with h(n) and the edges with k(u,v), keeping the labels
+  // off the nodes and off each other
+  ctx.font = `${Math.max(10, Math.round(nodeRadius * 0.6))}px Arial`;
+  const occupied = nodes.map(node => ({
+    x: nodePositions[node].x - nodeRadius,
+    y: nodePositions[node].y - nodeRadius,
+    width: 2 * nodeRadius,
+    height: 2 * nodeRadius
+  }));
+
+  nodes.filter(node => node in heuristicValues).forEach(node => {
+    const { x, y } = nodePositions[node];
+    // Above the node first, then around it; labels are wider than tall, so
+    // the side positions sit further out
+    const distance = nodeRadius + 10;
+    const candidates = [-90, -45, -135, 0, 180, 45, 135, 90].map(degrees => ({
+      x: x + 1.4 * distance * Math.cos(degrees * Math.PI / 180),
+      y: y + distance * Math.sin(degrees * Math.PI / 180)
+    }));
+    drawLabel(ctx, `h=${heuristicValues[node]}`, candidates, occupied, '#f1c40f');
+  });
+
+  if (Object.keys(costValues).length === 0) return;
+
+  edgeLabels.forEach(({ u, v, cost, twoWay }) => {
+    const a = nodePositions[u];
+    const b = nodePositions[v];
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    // The normal of the edge, to the right of its direction
+    const normalX = -(b.y - a.y) / length;
+    const normalY = (b.x - a.x) / length;
+    const offsets = twoWay ? [10, 16] : [0, 10, -10];
+    const candidates = [0.5, 0.4, 0.6, 0.3, 0.7].flatMap(t => offsets.map(offset => ({
+      x: a.x + t * (b.x - a.x) + offset * normalX,
+      y: a.y + t * (b.y - a.y) + offset * normalY
+    })));
+    drawLabel(ctx, String(cost), candidates, occupied, '#ecf0f1');
+  });
+}
@@ -0,0 +1,245 @@
+import { createRandom } from '../algorithms/seededRandom';
+
+/**
+ * Layouts of the graph canvas
+ *
+ * Every layout returns { node: { x, y } } with x and y as fractions of the
+ * canvas width and height, the positions computeNodePositions draws.
+ */
+export const GRAPH_LAYOUTS = {
+  circle: 'Circle',
+  force: 'Force-directed',
+  layered: 'Layered by BFS depth from the start',
+  pinned: 'User-pinned'
+};
+
+// Keep nodes this far from the border of the canvas
+const MARGIN = 0.08;
+
+// Scale the positions to fill the canvas inside the margin
+const fitToCanvas = (positions) => {
+  const points = Object.values(positions);
+  const minX = Math.min(...points.map(p => p.x));
+  const maxX = Math.max(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const maxY = Math.max(...points.map(p => p.y));
+  const scale = (value, min, max) => (max - min < 1e-9 ? 0.5 : MARGIN + (value - min) / (max - min) * (1 - 2 * MARGIN));
+
+  const fitted = {};
+  for (const [node, { x, y }] of Object.entries(positions)) {
+    fitted[node] = { x: scale(x, minX, maxX), y: scale(y, minY, maxY) };
+  }
+  return fitted;
+};
+
+// Above this many nodes the force-directed layout falls back to the circle
+export const FORCE_LAYOUT_MAX_NODES = 1000;
+
+/**
+ * Force-directed layout (Fruchterman–Reingold)
+ *
+ * Edges pull their nodes together and all nodes push each other apart, so
+ * connected nodes end up close and the drawing spreads out evenly. The
+ * simulation starts from seeded random positions, so the result is
+ * deterministic.
+ *
+ * As in the grid variant of Fruchterman and Reingold, a node is only pushed
+ * by the nodes within twice the ideal edge length, found through a grid of
+ * cells of that size, so an iteration takes about linear time. Larger graphs
+ * get fewer iterations.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {number} [iterations=300] - The number of simulation steps for small graphs
+ * @returns {Object} - { node: { x, y } }
+ */
+export function forceDirectedLayout(graph, iterations = 300) {
+  const nodes = Object.keys(graph);
+  if (nodes.length < 2) return Object.fromEntries(nodes.map(node => [node, { x: 0.5, y: 0.5 }]));
+
+  const random = createRandom(1);
+  const x = nodes.map(() => random());
+  const y = nodes.map(() => random());
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const idealDistance = Math.sqrt(1 / nodes.length);
+  const cellSize = 2 * idealDistance;
+  const steps = Math.max(50, Math.min(iterations, Math.round(iterations * 100 / nodes.length)));
+
+  // Edge directions do not matter for the drawing
+  const edges = [];
+  const seen = new Set();
+  for (const [u, neighbors] of Object.entries(graph)) {
+    for (const v of neighbors) {
+      if (u === v || !index.has(v) || seen.has(`${v},${u}`)) continue;
+      seen.add(`${u},${v}`);
+      edges.push([index.get(u), index.get(v)]);
+    }
+  }
+
+  const dispX = new Float64Array(nodes.length);
+  const dispY = new Float64Array(nodes.length);
+  const cellKey = (i) => `${Math.floor(x[i] / cellSize)},${Math.floor(y[i] / cellSize)}`;
+
+  for (let iteration = 0; iteration < steps; iteration++) {
+    const temperature = 0.1 * (1 - iteration / steps);
+    dispX.fill(0);
+    dispY.fill(0);
+
+    const cells = new Map();
+    for (let i = 0; i < nodes.length; i++) {
+      const key = cellKey(i);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    }
+
+    // Nodes closer than the cell size repel; every pair is seen from both ends
+    for (let i = 0; i < nodes.length; i++) {
+      const cellX = Math.floor(x[i] / cellSize);
+      const cellY = Math.floor(y[i] / cellSize);
+      for (let offsetX = -1; offsetX <= 1; offsetX++) {
+        for (let offsetY = -1; offsetY <= 1; offsetY++) {
+          for (const j of cells.get(`${cellX + offsetX},${cellY + offsetY}`) || []) {
+            if (j === i) continue;
+            let dx = x[i] - x[j];
+            let dy = y[i] - y[j];
+            // Separate nodes that sit on the same spot
+            if (dx === 0 && dy === 0) {
+              dx = 0.001 * (i - j);
+              dy = 0.001 * (i + j + 1);
+            }
+            const distance = Math.max(Math.hypot(dx, dy), 0.001);
+            if (distance > cellSize) continue;
+            const force = idealDistance * idealDistance / distance;
+            dispX[i] += dx / distance * force;
+            dispY[i] += dy / distance * force;
+          }
+        }
+      }
+    }
+
+    // Every edge attracts its ends
+    for (const [u, v] of edges) {
+      const dx = x[u] - x[v];
+      const dy = y[u] - y[v];
+      const distance = Math.max(Math.hypot(dx, dy), 0.001);
+      const force = distance * distance / idealDistance;
+      dispX[u] -= dx / distance * force;
+      dispY[u] -= dy / distance * force;
+      dispX[v] += dx / distance * force;
+      dispY[v] += dy / distance * force;
+    }
+
+    // Move every node by at most the temperature, with a weak pull to the
+    // center that keeps separate components together
+    for (let i = 0; i < nodes.length; i++) {
+      dispX[i] += (0.5 - x[i]) * idealDistance;
+      dispY[i] += (0.5 - y[i]) * idealDistance;
+      const length = Math.hypot(dispX[i], dispY[i]);
+      if (length > 0) {
+        x[i] += dispX[i] / length * Math.min(length, temperature);
+        y[i] += dispY[i] / length * Math.min(length, temperature);
+      }
+    }
+  }
+
+  return fitToCanvas(Object.fromEntries(nodes.map((node, i) => [node, { x: x[i], y: y[i] }])));
+}
+
+/**
+ * Layered layout: one column per BFS depth from the start node, from left
+ * to right. Nodes the start cannot reach share a last column. Within a
+ * column nodes are ordered by the mean row of their parents, which keeps
+ * edges between columns from crossing where possible.
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} startState - The node of the first column
+ * @returns {Object} - { node: { x, y } }
+ */
+export function layeredLayout(graph, startState) {
+  const nodes = Object.keys(graph);
+  if (nodes.length === 0) return {};
+
+  const root = startState in graph ? startState : nodes[0];
+  const depth = { [root]: 0 };
+  const parents = {};
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const u = queue.shift();
+    for (const v of graph[u] || []) {
+      if (!(v in graph)) continue;
+      if (!(v in depth)) {
+        depth[v] = depth[u] + 1;
+        queue.push(v);
+      }
+      if (depth[v] === depth[u] + 1) {
+        (parents[v] = parents[v] || []).push(u);
+      }
+    }
+  }
+
+  // Unreachable nodes go into a column of their own
+  const lastDepth = Math.max(...Object.values(depth));
+  const unreachable = nodes.filter(node => !(node in depth));
+  unreachable.forEach(node => {
+    depth[node] = lastDepth + 1;
+  });
+
+  const layers = [];
+  nodes
+    .filter(node => !unreachable.includes(node))
+    .sort((a, b) => depth[a] - depth[b])
+    .concat(unreachable)
+    .forEach(node => {
+      (layers[depth[node]] = layers[depth[node]] || []).push(node);
+    });
+
+  // Order each column by the mean row of the parents in the column before it
+  const row = {};
+  layers.forEach(layer => {
+    const meanParentRow = (node) => {
+      const placed = (parents[node] || []).filter(parent => parent in row);
+      return placed.length > 0 ? placed.reduce((sum, parent) => sum + row[parent], 0) / placed.length : Infinity;
+    };
+    const ordered = layer
+      .map((node, index) => ({ node, index, key: meanParentRow(node) }))
+      .sort((a, b) => (a.key === b.key ? a.index - b.index : a.key - b.key))
+      .map(entry => entry.node);
+    ordered.forEach((node, index) => {
+      row[node] = (index + 1) / (ordered.length + 1);
+    });
+    layer.splice(0, layer.length, ...ordered);
+  });
+
+  const positions = {};
+  layers.forEach((layer, layerIndex) => {
+    const x = layers.length === 1 ? 0.5 : MARGIN + layerIndex / (layers.length - 1) * (1 - 2 * MARGIN);
+    layer.forEach(node => {
+      positions[node] = { x, y: row[node] };
+    });
+  });
+  return positions;
+}
+
+/**
+ * Compute the positions of a layout
+ *
+ * @param {Object} graph - The graph representation
+ * @param {string} layout - A key of GRAPH_LAYOUTS
+ * @param {Object} options - { startState, positions: the user-pinned positions }
+ * @returns {Object} - { node: { x, y } }; the user-pinned layout leaves nodes
+ *   without a pinned position to the circle of computeNodePositions, and the
+ *   force-directed layout all nodes above FORCE_LAYOUT_MAX_NODES
+ */
+export function layoutGraph(graph, layout, { startState, positions = {} } = {}) {
+  switch (layout) {
+    case 'force':
+      // Larger graphs take too long to simulate and stay on the circle
+      return Object.keys(graph).length > FORCE_LAYOUT_MAX_NODES ? {} : forceDirectedLayout(graph);
+    case 'layered':
+      return layeredLayout(graph, startState);
+    case 'pinned':
+      return positions;
+    default:
+      return {};
+  }
+}
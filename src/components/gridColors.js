@@ -0,0 +1,17 @@
+// Colors shared by the grid editor and the grid visualization
+export const GRID_COLORS = {
+  start: '#e74c3c',
+  goal: '#2ecc71',
+  expanded: '#2980b9',
+  current: '#9b59b6',
+  frontier: '#f1c40f',
+  path: '#f39c12'
+};
+
+// Fill color of a cell from its terrain cost
+export const terrainColor = (cost) => {
+  if (cost === null) return '#111';
+  if (cost >= 5) return '#5d4037';
+  if (cost >= 3) return '#8d6e63';
+  return '#555';
+};
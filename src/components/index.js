@@ -4,4 +4,6 @@ export { default as AlgorithmSelector } from './AlgorithmSelector';
 export { default as StepDisplay } from './StepDisplay';
 export { default as ResultDisplay } from './ResultDisplay';
 export { default as GraphVisualization } from './GraphVisualization';
+export { default as GridInput } from './GridInput';
+export { default as GridVisualization } from './GridVisualization';
 export { default as Navigation } from './Navigation';
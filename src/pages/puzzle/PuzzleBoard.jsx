@@ -0,0 +1,40 @@
+import React from 'react';
+
+function PuzzleBoard({ board, size, tileSize = 48, onTileClick }) {
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gridTemplateColumns: `repeat(${size}, ${tileSize}px)`,
+        gap: '2px',
+        padding: '2px',
+        backgroundColor: '#444',
+        borderRadius: '0.25rem',
+        width: 'fit-content'
+      }}
+    >
+      {board.map((tile, index) => (
+        <div
+          key={index}
+          onClick={onTileClick ? () => onTileClick(index) : undefined}
+          style={{
+            width: `${tileSize}px`,
+            height: `${tileSize}px`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: tile === 0 ? '#222' : '#3498db',
+            color: '#fff',
+            fontWeight: 'bold',
+            fontSize: `${Math.max(8, Math.floor(tileSize / 2.5))}px`,
+            cursor: onTileClick && tile !== 0 ? 'pointer' : 'default'
+          }}
+        >
+          {tile === 0 ? '' : tile}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PuzzleBoard;
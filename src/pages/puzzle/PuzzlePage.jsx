@@ -0,0 +1,300 @@
+import React, { useState } from 'react';
+import PuzzleBoard from './PuzzleBoard';
+import { StepDisplay } from '../../components';
+import { aStar, bestFirstSearch } from '../../algorithms';
+import {
+  createGoalBoard,
+  createPuzzleProblem,
+  getNeighborBoards,
+  isSolvable,
+  keyToBoard,
+  scrambleBoard,
+  PUZZLE_HEURISTICS,
+  PUZZLE_MAX_EXPANSIONS
+} from '../../algorithms/Puzzle/slidingPuzzle';
+
+// Algorithms that accept a search problem
+const PUZZLE_ALGORITHMS = [
+  { id: 'aStar', name: 'A*' },
+  { id: 'bestFirstSearch', name: 'Best-First Search' }
+];
+
+function PuzzlePage() {
+  // Puzzle state
+  const [size, setSize] = useState(3);
+  const [board, setBoard] = useState(createGoalBoard(3));
+  const [boardText, setBoardText] = useState('');
+  const [boardError, setBoardError] = useState('');
+  const [scrambleMoves, setScrambleMoves] = useState(10);
+  const [seed, setSeed] = useState(1);
+  const [heuristicName, setHeuristicName] = useState('manhattanDistance');
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState('aStar');
+
+  // State for algorithm execution
+  const [result, setResult] = useState(null);
+  const [steps, setSteps] = useState([]);
+  const [currentStep, setCurrentStep] = useState(0);
+
+  const solvable = isSolvable(board, size);
+
+  const resetResult = () => {
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+
+  const changeBoard = (newBoard) => {
+    setBoard(newBoard);
+    setBoardError('');
+    resetResult();
+  };
+
+  const handleSizeChange = (newSize) => {
+    setSize(newSize);
+    changeBoard(createGoalBoard(newSize));
+  };
+
+  const handleScramble = () => {
+    changeBoard(scrambleBoard(size, scrambleMoves, seed));
+  };
+
+  // Slide a tile into the blank when it is next to it
+  const handleTileClick = (index) => {
+    const next = getNeighborBoards(board, size).find(candidate => candidate[board.indexOf(0)] === board[index]);
+    if (next) {
+      changeBoard(next);
+    }
+  };
+
+  const handleApplyBoardText = () => {
+    const tiles = boardText.trim().split(/[\s,]+/).map(Number);
+    const expected = createGoalBoard(size).sort((a, b) => a - b);
+    const sorted = [...tiles].sort((a, b) => a - b);
+
+    if (tiles.length !== size * size || sorted.some((tile, i) => tile !== expected[i])) {
+      setBoardError(`Enter each number from 0 to ${size * size - 1} exactly once (0 is the blank).`);
+      return;
+    }
+    changeBoard(tiles);
+  };
+
+  const runAlgorithm = () => {
+    if (!solvable) {
+      alert('This board cannot reach the goal. Scramble or edit it first.');
+      return;
+    }
+
+    const problem = createPuzzleProblem(board, size, heuristicName);
+    let algorithmResult;
+
+    switch (selectedAlgorithm) {
+      case 'aStar':
+        algorithmResult = aStar(problem);
+        break;
+      case 'bestFirstSearch':
+        algorithmResult = bestFirstSearch(problem);
+        break;
+      default:
+        alert('Please select a valid algorithm.');
+        return;
+    }
+
+    setResult(algorithmResult);
+    setSteps(algorithmResult.steps);
+    setCurrentStep(0);
+  };
+
+  const renderState = (key) => <PuzzleBoard board={keyToBoard(key)} size={size} tileSize={size === 3 ? 16 : 12} />;
+
+  return (
+    <div>
+      <header>
+        <h1>Sliding Tile Puzzle</h1>
+        <p>
+          Solve the 8-puzzle and 15-puzzle with heuristic search over an implicit state space
+        </p>
+      </header>
+
+      <div className="grid">
+        <div>
+          <div className="card">
+            <h2>Puzzle</h2>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
+              <div>
+                <label>
+                  Puzzle
+                </label>
+                <select value={size} onChange={(e) => handleSizeChange(parseInt(e.target.value, 10))}>
+                  <option value={3}>8-puzzle (3×3)</option>
+                  <option value={4}>15-puzzle (4×4)</option>
+                </select>
+              </div>
+              <div>
+                <label>
+                  Scramble moves N
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={scrambleMoves}
+                  onChange={(e) => setScrambleMoves(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                />
+              </div>
+              <div>
+                <label>
+                  Random seed
+                </label>
+                <input
+                  type="number"
+                  value={seed}
+                  onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+                />
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+              <button onClick={handleScramble}>
+                Scramble
+              </button>
+              <button onClick={() => changeBoard(createGoalBoard(size))}>
+                Reset to Goal
+              </button>
+            </div>
+
+            <div style={{ marginTop: '1rem' }}>
+              <PuzzleBoard board={board} size={size} onTileClick={handleTileClick} />
+              <p style={{ marginTop: '0.5rem', color: solvable ? '#4CAF50' : '#f44336' }}>
+                {solvable ? 'Solvable' : 'Not solvable: this board cannot reach the goal'}
+              </p>
+              <p style={{ fontSize: '0.9rem' }}>
+                Click a tile next to the blank to slide it.
+              </p>
+            </div>
+
+            <div style={{ marginTop: '1rem' }}>
+              <label>
+                Board (tiles in row order, 0 for the blank)
+              </label>
+              <input
+                type="text"
+                value={boardText}
+                onChange={(e) => setBoardText(e.target.value)}
+                placeholder={size === 3 ? '1 2 3 4 5 6 0 7 8' : '1 2 3 4 5 6 7 8 9 10 11 12 13 14 0 15'}
+              />
+              <button style={{ marginTop: '0.5rem' }} onClick={handleApplyBoardText}>
+                Set Board
+              </button>
+              {boardError && (
+                <div style={{ color: 'red', marginTop: '0.5rem' }}>
+                  <strong>Format Error:</strong> {boardError}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="card">
+            <h2>Algorithm Selection</h2>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+              <div>
+                <label>
+                  Heuristic h(n)
+                </label>
+                <select
+                  value={heuristicName}
+                  onChange={(e) => {
+                    setHeuristicName(e.target.value);
+                    resetResult();
+                  }}
+                >
+                  {Object.entries(PUZZLE_HEURISTICS).map(([id, heuristic]) => (
+                    <option key={id} value={id}>
+                      {heuristic.name} (h = {heuristic.fn(board, size)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label>
+                  Algorithm
+                </label>
+                <select
+                  value={selectedAlgorithm}
+                  onChange={(e) => {
+                    setSelectedAlgorithm(e.target.value);
+                    resetResult();
+                  }}
+                >
+                  {PUZZLE_ALGORITHMS.map(algo => (
+                    <option key={algo.id} value={algo.id}>
+                      {algo.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <button
+              onClick={runAlgorithm}
+              disabled={!solvable}
+              style={{ backgroundColor: '#4CAF50', marginTop: '1rem' }}
+            >
+              Run Algorithm
+            </button>
+            <p style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}>
+              The search gives up after {PUZZLE_MAX_EXPANSIONS} expansions, enough for boards about 20 moves from the goal.
+            </p>
+          </div>
+        </div>
+
+        <div>
+          {result && (
+            <div className="card">
+              <h2>Result</h2>
+
+              <div style={{ padding: '0.75rem', backgroundColor: '#333', border: '1px solid #444', borderRadius: '0.25rem' }}>
+                <p style={{ fontWeight: '500' }}>
+                  {result.success ? (
+                    <>
+                      <span style={{ color: '#4CAF50' }}>Search successful!</span> Solved in {result.path.length - 1} moves.
+                    </>
+                  ) : (
+                    <span style={{ color: '#f44336' }}>Search failed. No solution found.</span>
+                  )}
+                </p>
+
+                {result.limitReached && (
+                  <p style={{ marginTop: '0.5rem' }}>
+                    The search stopped after {PUZZLE_MAX_EXPANSIONS} expansions, the most the step trace can hold.
+                    Try a board fewer moves from the goal or a stronger heuristic.
+                  </p>
+                )}
+
+                {result.success && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.5rem' }}>
+                    {result.path.map((key, index) => (
+                      <div key={key} style={{ textAlign: 'center' }}>
+                        <PuzzleBoard board={keyToBoard(key)} size={size} tileSize={20} />
+                        <span style={{ fontSize: '0.8rem' }}>{index}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          <StepDisplay
+            steps={steps}
+            currentStep={currentStep}
+            onStepChange={setCurrentStep}
+            renderState={renderState}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PuzzlePage;
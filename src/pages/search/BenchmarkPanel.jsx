@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import {
+  BENCHMARK_ALGORITHMS,
+  BENCHMARK_MAX_EXPANSIONS,
+  createBenchmarkInput,
+  runBenchmark
+} from '../../algorithms/benchmark';
+
+// The largest grid A* and Best-First Search time in about a second
+const MAX_SIZE = 200;
+
+function BenchmarkPanel() {
+  const [size, setSize] = useState(120);
+  const [seed, setSeed] = useState(1);
+  // Branch and Bound can run up to its expansion limit on large mazes, so it is opt-in
+  const [selected, setSelected] = useState(['aStar', 'bestFirstSearch']);
+  const [nodeCount, setNodeCount] = useState(null);
+  const [results, setResults] = useState([]);
+
+  const toggleAlgorithm = (id) => {
+    setSelected(selected.includes(id) ? selected.filter(item => item !== id) : [...selected, id]);
+  };
+
+  const handleRun = () => {
+    const input = createBenchmarkInput(size, seed);
+    setNodeCount(input.nodeCount);
+    // Keep the table in the order of BENCHMARK_ALGORITHMS
+    setResults(runBenchmark(input, Object.keys(BENCHMARK_ALGORITHMS).filter(id => selected.includes(id))));
+  };
+
+  return (
+    <div className="card">
+      <h2>Benchmark</h2>
+      <p style={{ marginBottom: '1rem' }}>
+        Times the algorithms without recording steps on a random {size} × {size} maze
+        (8-connected, octile heuristic), from the top-left to the bottom-right corner.
+        Branch and Bound stops after {BENCHMARK_MAX_EXPANSIONS.toLocaleString()} expansions.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+        <div>
+          <label>
+            Grid size (about {Math.round(size * size * 0.8)} open cells)
+          </label>
+          <input
+            type="number"
+            min="10"
+            max={MAX_SIZE}
+            value={size}
+            onChange={(e) => setSize(Math.min(MAX_SIZE, Math.max(10, parseInt(e.target.value, 10) || 10)))}
+          />
+        </div>
+        <div>
+          <label>
+            Random seed
+          </label>
+          <input
+            type="number"
+            value={seed}
+            onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', margin: '1rem 0' }}>
+        {Object.entries(BENCHMARK_ALGORITHMS).map(([id, algorithm]) => (
+          <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+            <input
+              type="checkbox"
+              checked={selected.includes(id)}
+              onChange={() => toggleAlgorithm(id)}
+            />
+            {algorithm.name}
+          </label>
+        ))}
+      </div>
+
+      <button onClick={handleRun} disabled={selected.length === 0} style={{ backgroundColor: '#4CAF50' }}>
+        Run Benchmark
+      </button>
+
+      {results.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '1rem' }}>
+          <p style={{ marginBottom: '0.5rem' }}>Graph with {nodeCount} nodes</p>
+          <table>
+            <thead>
+              <tr>
+                <th>Algorithm</th>
+                <th>Result</th>
+                <th>Path length</th>
+                <th>Path cost</th>
+                <th>Expanded</th>
+                <th>Wall time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(row => (
+                <tr key={row.id}>
+                  <td>{row.name}</td>
+                  <td>
+                    {row.success ? 'Found' : 'Not found'}
+                    {row.limitReached && ' (stopped at the expansion limit)'}
+                  </td>
+                  <td>{row.success ? row.pathLength : '-'}</td>
+                  <td>{row.cost === null ? '-' : row.cost.toFixed(3)}</td>
+                  <td>{row.expanded}</td>
+                  <td>{row.timeMs.toFixed(1)} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BenchmarkPanel;
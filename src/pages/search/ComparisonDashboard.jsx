@@ -0,0 +1,233 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { runSearchAlgorithm, SEARCH_ALGORITHMS } from '../../algorithms';
+import { replayTrace, stepFrontier } from '../../algorithms/stepTrace';
+import { cellName } from '../../algorithms/Grid/gridWorld';
+import { drawSearchGraph, nodeRadiusFor } from '../../components/graphDrawing';
+import { GRID_COLORS, terrainColor } from '../../components/gridColors';
+
+// A small canvas with the graph at one step of a run
+function MiniGraph({ graph, costValues, positions, startState, goalState, path, steps, currentStep }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    drawSearchGraph(
+      canvasRef.current,
+      { graph, costValues, positions, showLabels: false, startState, goalState, path, steps, currentStep },
+      nodeRadiusFor(Object.keys(graph).length, 12)
+    );
+  }, [graph, costValues, positions, startState, goalState, path, steps, currentStep]);
+
+  return <canvas ref={canvasRef} width={300} height={200} style={{ width: '100%' }} />;
+}
+
+// A small grid world at one step of a run
+function MiniGrid({ world, path, steps, currentStep }) {
+  const step = steps[currentStep];
+  // A set, since every cell asks whether it was expanded
+  const expanded = new Set(replayTrace(steps, currentStep).expanded);
+  const frontier = new Set(stepFrontier(step));
+  const finalPath = new Set(currentStep === steps.length - 1 ? path : []);
+  const cellSize = Math.max(4, Math.floor(280 / world.cols));
+
+  const cellColor = (row, col, cost) => {
+    const name = cellName(row, col);
+    if (row === world.start[0] && col === world.start[1]) return GRID_COLORS.start;
+    if (row === world.goal[0] && col === world.goal[1]) return GRID_COLORS.goal;
+    if (finalPath.has(name)) return GRID_COLORS.path;
+    if (step?.u === name) return GRID_COLORS.current;
+    if (frontier.has(name)) return GRID_COLORS.frontier;
+    if (expanded.has(name)) return GRID_COLORS.expanded;
+    return terrainColor(cost);
+  };
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${world.cols}, ${cellSize}px)`, width: 'fit-content' }}>
+      {world.cells.map((cellRow, row) => cellRow.map((cost, col) => (
+        <div
+          key={`${row}-${col}`}
+          style={{ width: `${cellSize}px`, height: `${cellSize}px`, backgroundColor: cellColor(row, col, cost) }}
+        />
+      )))}
+    </div>
+  );
+}
+
+// The number of expansions after which Branch and Bound gives up here. With
+// the trace recorded it can otherwise take seconds and run out of memory on
+// a 40 × 40 maze; 2000 is enough for an empty grid of that size.
+const COMPARISON_MAX_EXPANSIONS = 2000;
+
+function ComparisonDashboard({
+  graph,
+  startState,
+  goalState,
+  heuristicValues,
+  costValues,
+  heuristicFn,
+  costFn,
+  algorithmOptions,
+  gridWorld,
+  nodePositions
+}) {
+  const [runs, setRuns] = useState([]);
+  const [runInputs, setRunInputs] = useState(null);
+  const [sharedStep, setSharedStep] = useState(0);
+
+  const handleRunAll = () => {
+    if (!graph || !startState || !goalState) {
+      alert('Please provide all required inputs: graph, start state and goal state.');
+      return;
+    }
+
+    const hasHeuristic = Object.keys(heuristicValues).length > 0;
+    const hasCost = Object.keys(costValues).length > 0;
+
+    setRuns(SEARCH_ALGORITHMS.map(algorithm => {
+      if (algorithm.usesHeuristic && !hasHeuristic) {
+        return { algorithm, skipped: 'Needs a heuristic function' };
+      }
+      if (algorithm.usesCost && !hasCost) {
+        return { algorithm, skipped: 'Needs a cost function' };
+      }
+
+      // Iterative Deepening DFS, IDA* and Branch and Bound stop at their
+      // expansion limit; a run that still fails, e.g. with a too deep
+      // recursion, only loses its row
+      let result;
+      try {
+        result = runSearchAlgorithm(
+          algorithm,
+          { graph, startState, goalState, heuristicFn, costFn },
+          { ...algorithmOptions, maxExpansions: COMPARISON_MAX_EXPANSIONS }
+        );
+      } catch (err) {
+        return { algorithm, skipped: `Stopped with an error: ${err.message}` };
+      }
+      return { algorithm, result };
+    }));
+    setRunInputs({ graph, startState, goalState, heuristicValues, costValues, algorithmOptions, gridWorld });
+    setSharedStep(0);
+  };
+
+  // The results no longer match when any input changed after the run
+  const stale = runInputs !== null && (
+    runInputs.graph !== graph ||
+    runInputs.startState !== startState ||
+    runInputs.goalState !== goalState ||
+    runInputs.heuristicValues !== heuristicValues ||
+    runInputs.costValues !== costValues ||
+    JSON.stringify(runInputs.algorithmOptions) !== JSON.stringify(algorithmOptions)
+  );
+
+  const completed = runs.filter(run => run.result);
+  const maxSteps = Math.max(1, ...completed.map(run => run.result.steps.length));
+
+  return (
+    <div className="card">
+      <h2>Compare Algorithms</h2>
+      <p style={{ marginBottom: '1rem' }}>
+        Runs every algorithm on the current graph, heuristic and costs, with the options chosen above.
+        Branch and Bound stops after {COMPARISON_MAX_EXPANSIONS} expansions.
+      </p>
+
+      <button onClick={handleRunAll} style={{ backgroundColor: '#4CAF50' }}>
+        Run All Algorithms
+      </button>
+
+      {stale && (
+        <p style={{ marginTop: '0.5rem', color: '#f39c12' }}>
+          The inputs changed since this comparison was run. Run it again to update.
+        </p>
+      )}
+
+      {runs.length > 0 && (
+        <>
+          <div style={{ overflowX: 'auto', marginTop: '1rem' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Algorithm</th>
+                  <th>Success</th>
+                  <th>Path</th>
+                  <th>Path cost</th>
+                  <th>Generated</th>
+                  <th>Expanded</th>
+                  <th>Max |L|</th>
+                  <th>Steps</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run.algorithm.id}>
+                    <td>{run.algorithm.name}</td>
+                    {run.skipped ? (
+                      <td colSpan={7}>{run.skipped}</td>
+                    ) : (
+                      <>
+                        <td>
+                          {run.result.success ? 'Yes' : 'No'}
+                          {run.result.restartFrom && ` (from the restart node ${run.result.restartFrom}, not the start)`}
+                          {run.result.limitReached && ' (expansion limit)'}
+                        </td>
+                        <td>{run.result.success ? run.result.path.join(' → ') : '-'}</td>
+                        <td>{run.result.metrics.totalCost === null ? '-' : Math.round(run.result.metrics.totalCost * 1000) / 1000}</td>
+                        <td>{run.result.metrics.generated}</td>
+                        <td>{run.result.metrics.expanded}</td>
+                        <td>{run.result.metrics.maxFrontier}</td>
+                        <td>{run.result.steps.length}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ marginTop: '1rem' }}>
+            <label>
+              Step {sharedStep + 1} of {maxSteps} (runs with fewer steps stay on their last step)
+            </label>
+            <input
+              type="range"
+              min="0"
+              max={maxSteps - 1}
+              value={sharedStep}
+              onChange={(e) => setSharedStep(parseInt(e.target.value, 10))}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '1rem', marginTop: '1rem' }}>
+            {completed.map(run => {
+              const steps = run.result.steps;
+              const currentStep = Math.min(sharedStep, steps.length - 1);
+
+              return (
+                <div key={run.algorithm.id} style={{ padding: '0.5rem', backgroundColor: '#333', border: '1px solid #444', borderRadius: '0.25rem' }}>
+                  <h3 style={{ fontWeight: '500', marginBottom: '0.25rem' }}>{run.algorithm.name}</h3>
+                  <p style={{ fontSize: '0.8rem', marginBottom: '0.5rem' }}>{steps[currentStep].description}</p>
+                  {runInputs.gridWorld ? (
+                    <MiniGrid world={runInputs.gridWorld} path={run.result.path} steps={steps} currentStep={currentStep} />
+                  ) : (
+                    <MiniGraph
+                      graph={runInputs.graph}
+                      costValues={runInputs.costValues}
+                      positions={nodePositions}
+                      startState={runInputs.startState}
+                      goalState={runInputs.goalState}
+                      path={run.result.path}
+                      steps={steps}
+                      currentStep={currentStep}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ComparisonDashboard;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { BUILT_IN_SCENARIOS, getBuiltInScenario } from '../../algorithms/scenarioLibrary';
+import {
+  addSavedScenario,
+  deleteSavedScenario,
+  duplicateSavedScenario,
+  loadSavedScenarios,
+  renameSavedScenario,
+  storeSavedScenarios
+} from './savedScenarios';
+
+function ScenarioLibrary({ graph, costValues, heuristicValues, startState, goalState, onScenarioLoad }) {
+  // Saved entries that could not be read stay in the storage untouched
+  const [stored] = useState(() => loadSavedScenarios());
+  const [saved, setSaved] = useState(stored.saved);
+  const [choice, setChoice] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // The options of the picker are "example:<id>" and "saved:<id>"
+  const [kind, id] = choice.split(':');
+  const example = kind === 'example' ? getBuiltInScenario(id) : null;
+  const savedEntry = kind === 'saved' ? saved.find(entry => entry.id === id) : null;
+
+  // Write the list to localStorage before showing it, so the page never shows
+  // a change that was not saved
+  const persist = (newSaved, message) => {
+    try {
+      storeSavedScenarios(newSaved, stored.skipped);
+    } catch (err) {
+      setError(`Could not write to the browser storage: ${err.message}`);
+      return false;
+    }
+    setSaved(newSaved);
+    setNotice(message);
+    setError('');
+    return true;
+  };
+
+  const handleLoad = () => {
+    if (example) {
+      onScenarioLoad(example.scenario, example.positions);
+      setNotice(`Loaded the example "${example.name}".`);
+    } else if (savedEntry) {
+      onScenarioLoad(savedEntry.scenario);
+      setNotice(`Loaded "${savedEntry.name}".`);
+    }
+    setError('');
+  };
+
+  const handleSave = () => {
+    if (!graph) {
+      setError('Parse a graph before saving it.');
+      return;
+    }
+
+    const scenario = { graph, costValues, heuristicValues, startState, goalState };
+    const scenarioName = name.trim() || `Scenario ${saved.length + 1}`;
+    const existing = saved.find(entry => entry.name === scenarioName);
+
+    // Saving under the name of a saved scenario replaces it
+    if (existing) {
+      if (!window.confirm(`Replace the saved scenario "${scenarioName}"?`)) return;
+      if (persist(saved.map(entry => (entry === existing ? { ...entry, scenario } : entry)), `Replaced "${scenarioName}".`)) {
+        setChoice(`saved:${existing.id}`);
+      }
+      return;
+    }
+
+    const added = addSavedScenario(saved, scenarioName, scenario);
+    if (persist(added.saved, `Saved "${scenarioName}".`)) {
+      setChoice(`saved:${added.id}`);
+      setName('');
+    }
+  };
+
+  const handleRename = () => {
+    const newName = window.prompt('New name of the scenario', savedEntry.name);
+    if (newName === null || !newName.trim()) return;
+    persist(renameSavedScenario(saved, savedEntry.id, newName.trim()), `Renamed "${savedEntry.name}" to "${newName.trim()}".`);
+  };
+
+  const handleDuplicate = () => {
+    const duplicated = duplicateSavedScenario(saved, savedEntry.id);
+    if (persist(duplicated.saved, `Duplicated "${savedEntry.name}".`)) {
+      setChoice(`saved:${duplicated.id}`);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the saved scenario "${savedEntry.name}"?`)) return;
+    if (persist(deleteSavedScenario(saved, savedEntry.id), `Deleted "${savedEntry.name}".`)) {
+      setChoice('');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Scenario Library</h2>
+      <p style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+        Load a textbook example or one of your own scenarios into the graph and heuristic inputs.
+        Your scenarios are saved in this browser.
+      </p>
+
+      <div>
+        <label>
+          Scenario
+        </label>
+        <select value={choice} onChange={(e) => setChoice(e.target.value)}>
+          <option value="">Select a scenario</option>
+          <optgroup label="Examples">
+            {BUILT_IN_SCENARIOS.map(entry => (
+              <option key={entry.id} value={`example:${entry.id}`}>{entry.name}</option>
+            ))}
+          </optgroup>
+          {saved.length > 0 && (
+            <optgroup label="My scenarios">
+              {saved.map(entry => (
+                <option key={entry.id} value={`saved:${entry.id}`}>{entry.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      {example && (
+        <p style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}>
+          {example.description}
+        </p>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.5rem' }}>
+        <button onClick={handleLoad} disabled={!example && !savedEntry} style={{ backgroundColor: '#4CAF50' }}>
+          Load
+        </button>
+        {savedEntry && (
+          <>
+            <button onClick={handleRename}>
+              Rename
+            </button>
+            <button onClick={handleDuplicate}>
+              Duplicate
+            </button>
+            <button onClick={handleDelete} style={{ backgroundColor: '#f44336' }}>
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+
+      <div style={{ marginTop: '1rem' }}>
+        <label>
+          Save the current scenario as
+        </label>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`Scenario ${saved.length + 1}`}
+          />
+          <button onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+
+      {stored.skipped.length > 0 && (
+        <div style={{ color: 'orange', marginTop: '0.5rem' }}>
+          <strong>Warning:</strong> Could not read some saved scenarios:{' '}
+          {stored.skipped.map(({ name: skippedName, message }) => `"${skippedName}" (${message})`).join(', ')}.
+        </div>
+      )}
+
+      {notice && !error && (
+        <div style={{ color: '#4CAF50', marginTop: '0.5rem' }}>
+          {notice}
+        </div>
+      )}
+
+      {error && (
+        <div style={{ color: 'red', marginTop: '0.5rem' }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioLibrary;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import {
+  SCENARIO_FORMATS,
+  detectScenarioFormat,
+  exportScenario,
+  importScenario
+} from '../../algorithms/scenarioFormats';
+
+function ScenarioPanel({ graph, costValues, heuristicValues, startState, goalState, onScenarioImport }) {
+  const [format, setFormat] = useState('json');
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const scenario = { graph: graph || {}, costValues, heuristicValues, startState, goalState };
+
+  const handleExport = () => {
+    if (!graph) {
+      setError('Parse a graph before exporting it.');
+      return;
+    }
+    setText(exportScenario(scenario, format));
+    setError('');
+  };
+
+  const handleDownload = () => {
+    if (!graph) {
+      setError('Parse a graph before exporting it.');
+      return;
+    }
+
+    const { extension, mimeType } = SCENARIO_FORMATS[format];
+    const blob = new Blob([exportScenario(scenario, format)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `scenario.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setError('');
+  };
+
+  // The address of the search page always holds the current view. The
+  // clipboard API only exists in secure contexts (https or localhost).
+  const handleCopyLink = () => {
+    const copyError = 'Could not copy the link. Copy the address of the page instead.';
+    if (!navigator.clipboard?.writeText) {
+      setError(copyError);
+      return;
+    }
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        setNotice('Link copied. It opens this scenario with the same algorithm, options and step.');
+        setError('');
+      })
+      .catch(() => setError(copyError));
+  };
+
+  const applyImport = (importText, importFormat) => {
+    try {
+      onScenarioImport(importScenario(importText, importFormat));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const fileFormat = detectScenarioFormat(file.name) || format;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFormat(fileFormat);
+      setText(reader.result);
+      applyImport(reader.result, fileFormat);
+    };
+    reader.readAsText(file);
+    // Allow loading the same file again
+    e.target.value = '';
+  };
+
+  return (
+    <div className="card">
+      <h2>Import / Export</h2>
+      <p style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+        A JSON scenario holds the graph, costs, heuristic values, start and goal. A Graphviz DOT file
+        keeps them as the attributes cost, h, start and goal. A CSV edge list (from,to,cost) only holds
+        the graph and the costs, so importing one keeps the current heuristic, start and goal.
+      </p>
+
+      <div>
+        <label>
+          Format
+        </label>
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(SCENARIO_FORMATS).map(([id, { name }]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ marginTop: '0.5rem' }}>
+        <label>
+          Scenario text
+        </label>
+        <textarea
+          rows="8"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Export the current scenario, or paste one here and import it"
+          style={{ fontFamily: 'monospace' }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.5rem' }}>
+        <button onClick={handleExport}>
+          Export to Text
+        </button>
+        <button onClick={handleDownload}>
+          Download File
+        </button>
+        <button onClick={() => applyImport(text, format)} disabled={!text.trim()} style={{ backgroundColor: '#4CAF50' }}>
+          Import Text
+        </button>
+        <button onClick={handleCopyLink} style={{ backgroundColor: '#9b59b6' }}>
+          Copy Link
+        </button>
+      </div>
+
+      <div style={{ marginTop: '0.5rem' }}>
+        <label>
+          Import a file (.json, .dot, .gv, .csv)
+        </label>
+        <input type="file" accept=".json,.dot,.gv,.csv,.txt" onChange={handleFileChange} />
+      </div>
+
+      {notice && !error && (
+        <div style={{ color: '#4CAF50', marginTop: '0.5rem' }}>
+          {notice}
+        </div>
+      )}
+
+      {error && (
+        <div style={{ color: 'red', marginTop: '0.5rem' }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioPanel;
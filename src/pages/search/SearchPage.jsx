@@ -5,48 +5,227 @@ import {
   AlgorithmSelector,
   StepDisplay,
   ResultDisplay,
-  GraphVisualization
+  GraphVisualization,
+  GridInput,
+  GridVisualization
 } from '../../components';
-import {
-  bestFirstSearch,
-  hillClimbing,
-  aStar,
-  branchAndBound
-} from '../../algorithms';
-import { useState } from 'react';
+import { getSearchAlgorithm, runSearchAlgorithm } from '../../algorithms';
+import { buildGridSearchInput, createGridWorld } from '../../algorithms/Grid/gridWorld';
+import BenchmarkPanel from './BenchmarkPanel';
+import ComparisonDashboard from './ComparisonDashboard';
+import ScenarioPanel from './ScenarioPanel';
+import ScenarioLibrary from './ScenarioLibrary';
+import SearchTreePanel from './SearchTreePanel';
+import { formatScenarioText } from '../../algorithms/scenarioFormats';
+import { layoutGraph } from '../../components/graphLayout';
+import { createSearchPageParams, parseSearchPageParams } from './searchPageParams';
+import { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Create heuristic and cost functions from the values
+const createHeuristicFn = (heuristicValues) => (node) => {
+  if (node in heuristicValues) {
+    return heuristicValues[node];
+  }
+  return Infinity; // Default value for nodes not in the heuristic
+};
+
+const createCostFn = (costValues) => (node1, node2) => {
+  const key = `${node1},${node2}`;
+  if (key in costValues) {
+    return costValues[key];
+  }
+  return 1; // Default cost for edges not specified
+};
+
+// Run an algorithm on the inputs, or tell why it cannot run
+const runSearch = ({ graph, startState, goalState, heuristicValues, costValues }, algorithmId, algorithmOptions) => {
+  if (!graph || !startState || !goalState || !algorithmId) {
+    return { error: 'Please provide all required inputs: graph, start state, goal state, and algorithm.' };
+  }
+  
+  const algorithm = getSearchAlgorithm(algorithmId);
+  if (!algorithm) {
+    return { error: 'Please select a valid algorithm.' };
+  }
+  
+  // Uninformed algorithms ignore h(n), so they can run without a heuristic
+  if (algorithm.usesHeuristic && Object.keys(heuristicValues).length === 0) {
+    return { error: 'Please provide a heuristic function for informed search algorithms.' };
+  }
+  
+  if (algorithm.usesCost && Object.keys(costValues).length === 0) {
+    return { error: `${algorithm.name} requires a cost function.` };
+  }
+  
+  const result = runSearchAlgorithm(
+    algorithm,
+    { graph, startState, goalState, heuristicFn: createHeuristicFn(heuristicValues), costFn: createCostFn(costValues) },
+    algorithmOptions
+  );
+  return { result };
+};
+
+// The defaults of the inputs and algorithm options
+const DEFAULT_VIEW = {
+  inputMode: 'graph',
+  graph: null,
+  startState: '',
+  goalState: '',
+  heuristicValues: {},
+  costValues: {},
+  selectedAlgorithm: '',
+  layout: 'circle',
+  nodePositions: {}
+};
+const DEFAULT_ALGORITHM_OPTIONS = {
+  beamWidth: 2,
+  weight: 1.5,
+  seed: 1,
+  searchMode: 'graphReopen',
+  annealingOptions: {
+    schedule: 'exponential',
+    initialTemperature: 10,
+    maxIterations: 100
+  }
+};
+
+// Read the view of a shared link. Its algorithm runs again once the page has
+// mounted (see SearchPage) to get back to the step of the link.
+const restoreSharedView = (searchParams) => {
+  const shared = parseSearchPageParams(searchParams);
+  const view = { ...DEFAULT_VIEW, ...shared };
+  const algorithmOptions = { ...DEFAULT_ALGORITHM_OPTIONS, ...shared.algorithmOptions };
+  
+  return { ...view, algorithmOptions, sharedStep: shared.currentStep };
+};
 
 function SearchPage() {
+  // The address of the page holds the view, so a link restores it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [shared] = useState(() => restoreSharedView(searchParams));
+  
+  // Input mode: the text graph inputs or the grid world editor
+  const [inputMode, setInputMode] = useState(shared.inputMode);
+  const [gridWorld, setGridWorld] = useState(() => shared.gridWorld || createGridWorld(10, 15));
+  // The text-mode inputs while the grid world replaces them, restored when switching back
+  const [textInputs, setTextInputs] = useState({
+    graph: null,
+    startState: '',
+    goalState: '',
+    heuristicValues: {},
+    costValues: {}
+  });
+  // Changing the key of a text input refills it from the parsed values
+  const [graphInputVersion, setGraphInputVersion] = useState(0);
+  const [heuristicInputVersion, setHeuristicInputVersion] = useState(0);
+  // Node positions set in the graph editor, as fractions of the canvas size
+  const [nodePositions, setNodePositions] = useState(shared.nodePositions);
+  const [layout, setLayout] = useState(shared.layout);
+  
   // State for graph and algorithm inputs
-  const [graph, setGraph] = useState(null);
-  const [startState, setStartState] = useState('');
-  const [goalState, setGoalState] = useState('');
-  const [heuristicValues, setHeuristicValues] = useState({});
-  const [costValues, setCostValues] = useState({});
-  const [selectedAlgorithm, setSelectedAlgorithm] = useState('');
-  
-  // Create heuristic and cost functions from the values
-  const heuristicFn = (node) => {
-    if (node in heuristicValues) {
-      return heuristicValues[node];
-    }
-    return Infinity; // Default value for nodes not in the heuristic
-  };
+  const [graph, setGraph] = useState(shared.graph);
+  const [startState, setStartState] = useState(shared.startState);
+  const [goalState, setGoalState] = useState(shared.goalState);
+  const [heuristicValues, setHeuristicValues] = useState(shared.heuristicValues);
+  const [costValues, setCostValues] = useState(shared.costValues);
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState(shared.selectedAlgorithm);
+  const [beamWidth, setBeamWidth] = useState(shared.algorithmOptions.beamWidth);
+  const [weight, setWeight] = useState(shared.algorithmOptions.weight);
+  const [seed, setSeed] = useState(shared.algorithmOptions.seed);
+  const [searchMode, setSearchMode] = useState(shared.algorithmOptions.searchMode);
+  const [annealingOptions, setAnnealingOptions] = useState(shared.algorithmOptions.annealingOptions);
   
-  const costFn = (node1, node2) => {
-    const key = `${node1},${node2}`;
-    if (key in costValues) {
-      return costValues[key];
-    }
-    return 1; // Default cost for edges not specified
-  };
+  // The same functions until the values change, so the panels that memoize
+  // on them (such as the search tree) do not redo their work on every render
+  const heuristicFn = useMemo(() => createHeuristicFn(heuristicValues), [heuristicValues]);
+  const costFn = useMemo(() => createCostFn(costValues), [costValues]);
   
   // State for algorithm execution
   const [result, setResult] = useState(null);
   const [steps, setSteps] = useState([]);
   const [currentStep, setCurrentStep] = useState(0);
   
-  const handleGraphChange = (newGraph) => {
+  // A link with a step runs its algorithm once the page is shown, through the
+  // same runSearch as the Run button and so with the same expansion limits.
+  // A link whose run fails or cannot start falls back to the default view.
+  useEffect(() => {
+    if (shared.sharedStep === undefined) return;
+    
+    const fallBack = (message) => {
+      setInputMode(DEFAULT_VIEW.inputMode);
+      setGridWorld(createGridWorld(10, 15));
+      setGraph(DEFAULT_VIEW.graph);
+      setStartState(DEFAULT_VIEW.startState);
+      setGoalState(DEFAULT_VIEW.goalState);
+      setHeuristicValues(DEFAULT_VIEW.heuristicValues);
+      setCostValues(DEFAULT_VIEW.costValues);
+      setSelectedAlgorithm(DEFAULT_VIEW.selectedAlgorithm);
+      setLayout(DEFAULT_VIEW.layout);
+      setNodePositions(DEFAULT_VIEW.nodePositions);
+      setBeamWidth(DEFAULT_ALGORITHM_OPTIONS.beamWidth);
+      setWeight(DEFAULT_ALGORITHM_OPTIONS.weight);
+      setSeed(DEFAULT_ALGORITHM_OPTIONS.seed);
+      setSearchMode(DEFAULT_ALGORITHM_OPTIONS.searchMode);
+      setAnnealingOptions(DEFAULT_ALGORITHM_OPTIONS.annealingOptions);
+      // The text inputs mount again, empty
+      setGraphInputVersion(version => version + 1);
+      setHeuristicInputVersion(version => version + 1);
+      alert(`The shared link could not be restored: ${message}`);
+    };
+    
+    let run;
+    try {
+      run = runSearch(shared, shared.selectedAlgorithm, shared.algorithmOptions);
+    } catch (err) {
+      fallBack(err.message);
+      return;
+    }
+    if (run.error) {
+      fallBack(run.error);
+      return;
+    }
+    
+    setResult(run.result);
+    setSteps(run.result.steps);
+    setCurrentStep(Math.min(shared.sharedStep, run.result.steps.length - 1));
+  }, [shared]);
+  
+  // Refill the other text input when the parsed values no longer match its
+  // text: the graph input shows costs and heuristic values as annotations
+  const syncTextInputs = (source, newGraph, newCostValues, newHeuristicValues) => {
+    const before = formatScenarioText({ graph: graph || {}, costValues, heuristicValues });
+    const after = formatScenarioText({ graph: newGraph || {}, costValues: newCostValues, heuristicValues: newHeuristicValues });
+    
+    if (source !== 'graph' && graph && before.graphText !== after.graphText) {
+      setGraphInputVersion(graphInputVersion + 1);
+    }
+    if (source === 'graph' && (before.heuristicText !== after.heuristicText || before.costText !== after.costText)) {
+      setHeuristicInputVersion(heuristicInputVersion + 1);
+    }
+  };
+  
+  const handleGraphChange = (newGraph, annotations = {}) => {
+    // The graph text showed the costs of the previous edges and the heuristic
+    // values of the previous nodes as annotations, so it is authoritative for
+    // them: an annotation deleted from the text clears its value. Values of the
+    // separate inputs for anything else stay.
+    const previousGraph = graph || {};
+    const previousNodes = new Set([...Object.keys(previousGraph), ...Object.values(previousGraph).flat()]);
+    const keptCostValues = Object.fromEntries(Object.entries(costValues).filter(([key]) => {
+      const [u, v] = key.split(',');
+      return !(Object.hasOwn(previousGraph, u) && previousGraph[u].includes(v));
+    }));
+    const keptHeuristicValues = Object.fromEntries(
+      Object.entries(heuristicValues).filter(([node]) => !previousNodes.has(node))
+    );
+    const newCostValues = { ...keptCostValues, ...annotations.costValues };
+    const newHeuristicValues = { ...keptHeuristicValues, ...annotations.heuristicValues };
+    
     setGraph(newGraph);
+    setCostValues(newCostValues);
+    setHeuristicValues(newHeuristicValues);
+    syncTextInputs('graph', newGraph, newCostValues, newHeuristicValues);
     // Reset result when graph changes
     setResult(null);
     setSteps([]);
@@ -71,6 +250,7 @@ function SearchPage() {
   
   const handleHeuristicChange = (heuristicData) => {
     setHeuristicValues(heuristicData);
+    syncTextInputs('heuristic', graph, costValues, heuristicData);
     // Reset result when heuristic changes
     setResult(null);
     setSteps([]);
@@ -79,6 +259,7 @@ function SearchPage() {
   
   const handleCostFunctionChange = (costData) => {
     setCostValues(costData);
+    syncTextInputs('heuristic', graph, costData, heuristicValues);
     // Reset result when cost function changes
     setResult(null);
     setSteps([]);
@@ -87,92 +268,318 @@ function SearchPage() {
   
   const handleAlgorithmChange = (newAlgorithm) => {
     setSelectedAlgorithm(newAlgorithm);
+    // Each algorithm starts in its textbook search mode
+    setSearchMode(newAlgorithm === 'bestFirstSearch' ? 'graph' : 'graphReopen');
     // Reset result when algorithm changes
     setResult(null);
     setSteps([]);
     setCurrentStep(0);
   };
   
-  const handleStepChange = (newStep) => {
-    setCurrentStep(newStep);
+  const handleBeamWidthChange = (newBeamWidth) => {
+    setBeamWidth(newBeamWidth);
+    // Reset result when beam width changes
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
   };
   
-  const runAlgorithm = () => {
-    if (!graph || !startState || !goalState || Object.keys(heuristicValues).length === 0 || !selectedAlgorithm) {
-      alert('Please provide all required inputs: graph, start state, goal state, and heuristic function.');
+  const handleWeightChange = (newWeight) => {
+    setWeight(newWeight);
+    // Reset result when weight changes
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleSeedChange = (newSeed) => {
+    setSeed(newSeed);
+    // Reset result when seed changes
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleSearchModeChange = (newMode) => {
+    setSearchMode(newMode);
+    // Reset result when the search mode changes
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleAnnealingOptionsChange = (newOptions) => {
+    setAnnealingOptions(newOptions);
+    // Reset result when annealing options change
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleGridWorldChange = (newWorld) => {
+    setGridWorld(newWorld);
+    
+    // Derive the graph, costs, heuristics, start and goal from the grid
+    const input = buildGridSearchInput(newWorld);
+    setGraph(input.graph);
+    setCostValues(input.costValues);
+    setHeuristicValues(input.heuristicValues);
+    setStartState(input.startState);
+    setGoalState(input.goalState);
+    
+    // Reset result when grid changes
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleInputModeChange = (newMode) => {
+    if (newMode === inputMode) return;
+    setInputMode(newMode);
+    
+    if (newMode === 'grid') {
+      // Keep the text-mode inputs for when the user switches back
+      setTextInputs({ graph, startState, goalState, heuristicValues, costValues });
+      handleGridWorldChange(gridWorld);
       return;
     }
     
-    let algorithmResult;
+    // The text inputs get back what they held before the switch to the grid;
+    // they mount again, so they fill from these values
+    setGraph(textInputs.graph);
+    setStartState(textInputs.startState);
+    setGoalState(textInputs.goalState);
+    setHeuristicValues(textInputs.heuristicValues);
+    setCostValues(textInputs.costValues);
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleScenarioImport = (scenario) => {
+    // A CSV edge list has no heuristic, start or goal, so those are kept
+    setInputMode('graph');
+    setNodePositions({});
+    setGraph(scenario.graph);
+    setCostValues(scenario.costValues);
+    if (scenario.heuristicValues) setHeuristicValues(scenario.heuristicValues);
+    if (scenario.startState !== undefined) setStartState(scenario.startState);
+    if (scenario.goalState !== undefined) setGoalState(scenario.goalState);
+    setGraphInputVersion(graphInputVersion + 1);
+    setHeuristicInputVersion(heuristicInputVersion + 1);
     
-    switch (selectedAlgorithm) {
-      case 'bestFirstSearch':
-        algorithmResult = bestFirstSearch(graph, startState, goalState, heuristicFn);
-        break;
-      case 'hillClimbing':
-        algorithmResult = hillClimbing(graph, startState, goalState, heuristicFn);
-        break;
-      case 'aStar':
-        if (Object.keys(costValues).length === 0) {
-          alert('A* algorithm requires a cost function.');
-          return;
-        }
-        algorithmResult = aStar(graph, startState, goalState, heuristicFn, costFn);
-        break;
-      case 'branchAndBound':
-        if (Object.keys(costValues).length === 0) {
-          alert('Branch and Bound algorithm requires a cost function.');
-          return;
-        }
-        algorithmResult = branchAndBound(graph, startState, goalState, heuristicFn, costFn);
-        break;
-      default:
-        alert('Please select a valid algorithm.');
-        return;
+    // Reset result when a scenario is imported
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  const handleScenarioLoad = (scenario, positions) => {
+    handleScenarioImport(scenario);
+    // Examples with map positions open in the user-pinned layout
+    if (positions) {
+      setNodePositions(positions);
+      setLayout('pinned');
+    }
+  };
+  
+  const handleGraphEdit = (edited) => {
+    setGraph(edited.graph);
+    setCostValues(edited.costValues);
+    setHeuristicValues(edited.heuristicValues);
+    // Show the edited graph in the text inputs
+    setGraphInputVersion(graphInputVersion + 1);
+    setHeuristicInputVersion(heuristicInputVersion + 1);
+    
+    // Reset result when the graph is edited
+    setResult(null);
+    setSteps([]);
+    setCurrentStep(0);
+  };
+  
+  // Positioning a node by hand pins every node where it is shown
+  const handleNodePositionsChange = (newPositions) => {
+    setNodePositions(newPositions);
+    setLayout('pinned');
+  };
+  
+  const handleLayoutChange = (newLayout, shownPositions) => {
+    // The first switch to the user-pinned layout starts from the nodes as shown
+    if (newLayout === 'pinned' && Object.keys(nodePositions).length === 0) {
+      setNodePositions(shownPositions);
+    }
+    setLayout(newLayout);
+  };
+  
+  const handleStepChange = (newStep) => {
+    setCurrentStep(newStep);
+  };
+  
+  // The force-directed layout takes a while on larger graphs, so it is only
+  // recomputed when the graph or the layout changes. The grid world has no
+  // graph canvas, so it needs no layout.
+  const layoutPositions = useMemo(
+    () => (inputMode === 'grid' ? {} : layoutGraph(graph || {}, layout, { startState, positions: nodePositions })),
+    [inputMode, graph, layout, startState, nodePositions]
+  );
+  
+  // The options of the algorithms, as chosen in the algorithm selector
+  const algorithmOptions = { beamWidth, weight, seed, annealingOptions, searchMode };
+  
+  const runAlgorithm = () => {
+    const { result: algorithmResult, error } = runSearch(
+      { graph, startState, goalState, heuristicValues, costValues },
+      selectedAlgorithm,
+      algorithmOptions
+    );
+    if (error) {
+      alert(error);
+      return;
     }
     
     setResult(algorithmResult);
     setSteps(algorithmResult.steps);
     setCurrentStep(0);
   };
+  
+  // Write the view into the address of the page; replacing the history
+  // entry keeps the back button for leaving the page
+  const viewParams = createSearchPageParams({
+    inputMode,
+    gridWorld,
+    graph,
+    costValues,
+    heuristicValues,
+    startState,
+    goalState,
+    selectedAlgorithm,
+    algorithmOptions,
+    layout,
+    nodePositions,
+    steps,
+    currentStep
+  }).toString();
+  
+  useEffect(() => {
+    if (viewParams !== searchParams.toString()) {
+      setSearchParams(viewParams, { replace: true });
+    }
+  }, [viewParams, searchParams, setSearchParams]);
 
   return (
     <div>
       <header>
         <h1>Search Algorithms Visualization</h1>
         <p>
-          Visualize and compare different search algorithms: Best-First Search, Hill Climbing, A*, and Branch and Bound
+          Visualize and compare different search algorithms: Best-First Search, Beam Search, Hill Climbing (backtracking, steepest-ascent, stochastic, first-choice and random-restart), Simulated Annealing, A*, Weighted A*, IDA*, Bidirectional A*, Branch and Bound, and the uninformed baselines Breadth-First, Depth-First, Uniform-Cost, Iterative Deepening and Bidirectional Search
         </p>
       </header>
       
       <div className="grid">
         <div>
-          <GraphInput
-            onGraphChange={handleGraphChange}
-            onStartStateChange={handleStartStateChange}
-            onGoalStateChange={handleGoalStateChange}
+          <div className="card">
+            <h2>Input Mode</h2>
+            <select
+              value={inputMode}
+              onChange={(e) => handleInputModeChange(e.target.value)}
+            >
+              <option value="graph">Graph (text input)</option>
+              <option value="grid">Grid world (maze)</option>
+            </select>
+          </div>
+          
+          <ScenarioLibrary
+            graph={graph}
+            costValues={costValues}
+            heuristicValues={heuristicValues}
+            startState={startState}
+            goalState={goalState}
+            onScenarioLoad={handleScenarioLoad}
           />
           
-          <HeuristicInput
+          {inputMode === 'graph' ? (
+            <>
+              <GraphInput
+                key={`graph-${graphInputVersion}`}
+                initialGraph={graph}
+                initialStartState={startState}
+                initialGoalState={goalState}
+                costValues={costValues}
+                heuristicValues={heuristicValues}
+                onGraphChange={handleGraphChange}
+                onStartStateChange={handleStartStateChange}
+                onGoalStateChange={handleGoalStateChange}
+              />
+              
+              <HeuristicInput
+                key={`heuristic-${heuristicInputVersion}`}
+                graph={graph}
+                goalState={goalState}
+                heuristicValues={heuristicValues}
+                costValues={costValues}
+                onHeuristicChange={handleHeuristicChange}
+                onCostFunctionChange={handleCostFunctionChange}
+              />
+            </>
+          ) : (
+            <GridInput
+              world={gridWorld}
+              onWorldChange={handleGridWorldChange}
+            />
+          )}
+          
+          <ScenarioPanel
             graph={graph}
-            onHeuristicChange={handleHeuristicChange}
-            onCostFunctionChange={handleCostFunctionChange}
+            costValues={costValues}
+            heuristicValues={heuristicValues}
+            startState={startState}
+            goalState={goalState}
+            onScenarioImport={handleScenarioImport}
           />
           
           <AlgorithmSelector
             selectedAlgorithm={selectedAlgorithm}
             onAlgorithmChange={handleAlgorithmChange}
             onRunAlgorithm={runAlgorithm}
+            beamWidth={beamWidth}
+            onBeamWidthChange={handleBeamWidthChange}
+            weight={weight}
+            onWeightChange={handleWeightChange}
+            seed={seed}
+            onSeedChange={handleSeedChange}
+            annealingOptions={annealingOptions}
+            onAnnealingOptionsChange={handleAnnealingOptionsChange}
+            searchMode={searchMode}
+            onSearchModeChange={handleSearchModeChange}
           />
         </div>
         
         <div>
-          <GraphVisualization
-            graph={graph}
-            startState={startState}
-            goalState={goalState}
-            path={result?.path}
-          />
+          {inputMode === 'graph' ? (
+            <GraphVisualization
+              graph={graph}
+              costValues={costValues}
+              heuristicValues={heuristicValues}
+              positions={layoutPositions}
+              layout={layout}
+              startState={startState}
+              goalState={goalState}
+              path={result?.path}
+              steps={steps}
+              currentStep={currentStep}
+              onGraphEdit={handleGraphEdit}
+              onPositionsChange={handleNodePositionsChange}
+              onLayoutChange={handleLayoutChange}
+            />
+          ) : (
+            <GridVisualization
+              world={gridWorld}
+              steps={steps}
+              currentStep={currentStep}
+              path={result?.path}
+              onStepChange={handleStepChange}
+            />
+          )}
           
           <ResultDisplay result={result} />
           
@@ -181,8 +588,30 @@ function SearchPage() {
             currentStep={currentStep}
             onStepChange={handleStepChange}
           />
+          
+          <SearchTreePanel
+            steps={steps}
+            currentStep={currentStep}
+            heuristicFn={heuristicFn}
+            costFn={costFn}
+          />
         </div>
       </div>
+      
+      <ComparisonDashboard
+        graph={graph}
+        startState={startState}
+        goalState={goalState}
+        heuristicValues={heuristicValues}
+        costValues={costValues}
+        heuristicFn={heuristicFn}
+        costFn={costFn}
+        algorithmOptions={algorithmOptions}
+        gridWorld={inputMode === 'grid' ? gridWorld : null}
+        nodePositions={layoutPositions}
+      />
+      
+      <BenchmarkPanel />
     </div>
   );
 }
@@ -0,0 +1,213 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { buildSearchTree, isInactiveTreeNode, SEARCH_TREE_STATUSES } from '../../algorithms/searchTree';
+
+// Size of the drawing in pixels
+const COLUMN_WIDTH = 84;
+const ROW_HEIGHT = 76;
+const NODE_RADIUS = 16;
+const PADDING = 30;
+
+// Larger trees are cut to the instances generated first, which keeps the
+// canvas within the size browsers can draw
+const MAX_TREE_NODES = 300;
+
+const STATUS_COLORS = {
+  frontier: '#3498db',
+  expanded: '#1f4e6e'
+};
+const INACTIVE_COLOR = '#555';
+
+// Give every leaf a column of its own, from left to right, and center every
+// parent above its children. Returns positions in columns and rows.
+const layoutTree = (nodes) => {
+  const children = {};
+  nodes.forEach(node => {
+    if (node.parent !== null) {
+      (children[node.parent] = children[node.parent] || []).push(node);
+    }
+  });
+
+  const positions = {};
+  let columns = 0;
+  const place = (node) => {
+    const below = children[node.id] || [];
+    below.forEach(place);
+    const x = below.length > 0
+      ? (positions[below[0].id].x + positions[below[below.length - 1].id].x) / 2
+      : columns++;
+    positions[node.id] = { x, y: node.depth };
+  };
+  nodes.filter(node => node.parent === null).forEach(place);
+
+  const rows = Math.max(0, ...nodes.map(node => node.depth)) + 1;
+  return { positions, columns, rows };
+};
+
+// The values shown under an instance
+const formatValues = (node) => [
+  `g=${node.g}`,
+  node.h !== null ? `h=${node.h}` : null,
+  node.f !== null ? `f=${node.f}` : null
+].filter(Boolean).join(' ');
+
+const SearchTreePanel = ({ steps, currentStep, heuristicFn, costFn }) => {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  // Pixel position of the current instance, to scroll it into view
+  const currentRef = useRef(null);
+
+  // Replaying a long trace takes a while, so the tree is only rebuilt when the
+  // trace, the step or the functions change, and drawn again only then
+  const tree = useMemo(
+    () => buildSearchTree(steps, currentStep, { heuristicFn, costFn }),
+    [steps, currentStep, heuristicFn, costFn]
+  );
+  const { nodes, positions, columns, rows } = useMemo(() => {
+    const shown = tree.nodes.slice(0, MAX_TREE_NODES);
+    return { nodes: shown, ...layoutTree(shown) };
+  }, [tree]);
+  const width = Math.max(columns, 1) * COLUMN_WIDTH + 2 * PADDING;
+  const height = (rows - 1) * ROW_HEIGHT + 2 * PADDING + 2 * NODE_RADIUS;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const toPixels = (id) => ({
+      x: PADDING + COLUMN_WIDTH / 2 + positions[id].x * COLUMN_WIDTH,
+      y: PADDING + NODE_RADIUS + positions[id].y * ROW_HEIGHT
+    });
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    currentRef.current = null;
+
+    // Draw the edges from parents to children, dashed to inactive children
+    nodes.forEach(node => {
+      if (node.parent === null || !positions[node.parent]) return;
+      const from = toPixels(node.parent);
+      const to = toPixels(node.id);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y + NODE_RADIUS);
+      ctx.lineTo(to.x, to.y - NODE_RADIUS);
+      ctx.strokeStyle = isInactiveTreeNode(node) ? '#666' : '#aaa';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(isInactiveTreeNode(node) ? [4, 3] : []);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+
+    // Draw the instances with their state, g/h/f and, when greyed out, the reason
+    nodes.forEach(node => {
+      const { x, y } = toPixels(node.id);
+      const inactive = isInactiveTreeNode(node);
+
+      ctx.globalAlpha = inactive ? 0.5 : 1;
+      ctx.beginPath();
+      ctx.arc(x, y, NODE_RADIUS, 0, 2 * Math.PI);
+      ctx.fillStyle = inactive ? INACTIVE_COLOR : STATUS_COLORS[node.status];
+      ctx.fill();
+      ctx.strokeStyle = node.status === 'frontier' ? '#00bcd4' : '#333';
+      ctx.lineWidth = node.status === 'frontier' ? 3 : 1;
+      ctx.stroke();
+
+      ctx.fillStyle = '#fff';
+      ctx.font = `bold ${node.state.length > 3 ? 9 : 12}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(node.state, x, y);
+
+      ctx.fillStyle = inactive ? '#aaa' : '#ecf0f1';
+      ctx.font = '10px Arial';
+      ctx.fillText(formatValues(node), x, y + NODE_RADIUS + 9);
+      if (inactive) {
+        ctx.fillText(node.status, x, y + NODE_RADIUS + 21);
+      }
+      ctx.globalAlpha = 1;
+
+      if (node.id === tree.current) {
+        ctx.beginPath();
+        ctx.arc(x, y, NODE_RADIUS + 4, 0, 2 * Math.PI);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        currentRef.current = { x, y };
+      }
+    });
+  }, [tree, nodes, positions, width, height]);
+
+  // Follow the current instance while stepping through the trace
+  useEffect(() => {
+    const container = containerRef.current;
+    const position = currentRef.current;
+    if (!container || !position) return;
+    container.scrollLeft = position.x - container.clientWidth / 2;
+    container.scrollTop = position.y - container.clientHeight / 2;
+  }, [steps, currentStep]);
+
+  if (!steps || steps.length === 0) {
+    return (
+      <div className="card">
+        <h2>Search Tree</h2>
+        <p>No search tree to display. Run an algorithm first.</p>
+      </div>
+    );
+  }
+
+  // Number of instances per status, for the legend
+  const counts = {};
+  tree.nodes.forEach(node => {
+    counts[node.status] = (counts[node.status] || 0) + 1;
+  });
+  const states = new Set(tree.nodes.map(node => node.state)).size;
+
+  return (
+    <div className="card">
+      <h2>Search Tree</h2>
+      <p style={{ marginBottom: '0.5rem' }}>
+        The tree the algorithm has built up to step {currentStep + 1}: {tree.nodes.length} node instances of {states} states.
+        A state reached more than once appears once per instance.
+      </p>
+      {tree.nodes.length > MAX_TREE_NODES && (
+        <p style={{ marginBottom: '0.5rem', color: '#f39c12' }}>
+          Only the first {MAX_TREE_NODES} generated instances are drawn.
+        </p>
+      )}
+
+      <div
+        ref={containerRef}
+        style={{ overflow: 'auto', maxHeight: '450px', border: '1px solid #444', borderRadius: '0.25rem' }}
+      >
+        <canvas ref={canvasRef} width={width} height={height} style={{ display: 'block' }} />
+      </div>
+
+      <div style={{ marginTop: '0.5rem', display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1.5rem' }}>
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <div style={{ width: '1rem', height: '1rem', border: '3px solid #fff', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+          <span>Current u</span>
+        </div>
+        {Object.entries(SEARCH_TREE_STATUSES)
+          .filter(([status]) => counts[status])
+          .map(([status, label]) => {
+            const inactive = isInactiveTreeNode({ status });
+            return (
+              <div key={status} style={{ display: 'flex', alignItems: 'center' }}>
+                <div
+                  style={{
+                    width: '1rem',
+                    height: '1rem',
+                    backgroundColor: inactive ? INACTIVE_COLOR : STATUS_COLORS[status],
+                    border: status === 'frontier' ? '3px solid #00bcd4' : 'none',
+                    opacity: inactive ? 0.5 : 1,
+                    borderRadius: '50%',
+                    marginRight: '0.5rem'
+                  }}
+                ></div>
+                <span>{label} ({counts[status]})</span>
+              </div>
+            );
+          })}
+      </div>
+    </div>
+  );
+};
+
+export default SearchTreePanel;
@@ -0,0 +1,111 @@
+import { parseScenarioJSON, scenarioToJSON } from '../../algorithms/scenarioFormats';
+
+/**
+ * The scenarios users save on the search page, kept in localStorage
+ *
+ * A saved scenario is { id, name, scenario }. The list is stored under one
+ * key, with every scenario in the JSON scenario format, and the edits below
+ * return a new list without touching their input.
+ */
+
+const STORAGE_KEY = 'search-page-scenarios';
+
+/**
+ * Read the saved scenarios
+ *
+ * Entries that are not valid scenarios are skipped, so a damaged entry does
+ * not hide the others. The skipped entries are reported with the reason, and
+ * storeSavedScenarios writes them back unchanged.
+ *
+ * @returns {Object} - { saved: the saved scenarios, skipped: a list of
+ *   { entry, name, message } for the entries that could not be read }
+ */
+export function loadSavedScenarios() {
+  let entries;
+  try {
+    entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (err) {
+    return { saved: [], skipped: [{ entry: null, name: 'the whole list', message: err.message }] };
+  }
+  if (!Array.isArray(entries)) {
+    return { saved: [], skipped: [{ entry: null, name: 'the whole list', message: 'not a list of scenarios' }] };
+  }
+
+  const saved = [];
+  const skipped = [];
+  entries.forEach(entry => {
+    try {
+      saved.push({ id: String(entry.id), name: String(entry.name), scenario: parseScenarioJSON(entry.scenario) });
+    } catch (err) {
+      skipped.push({ entry, name: String(entry?.name), message: err.message });
+    }
+  });
+  return { saved, skipped };
+}
+
+/**
+ * Write the saved scenarios
+ *
+ * @param {Array} saved - The saved scenarios
+ * @param {Array} [skipped=[]] - The entries loadSavedScenarios skipped, kept as they were
+ * @throws {Error} - When localStorage is not available or full
+ */
+export function storeSavedScenarios(saved, skipped = []) {
+  const entries = saved.map(({ id, name, scenario }) => ({ id, name, scenario: scenarioToJSON(scenario) }));
+  const kept = skipped.filter(({ entry }) => entry !== null).map(({ entry }) => entry);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...entries, ...kept]));
+}
+
+// A fresh id: one more than the largest id in use
+const nextSavedId = (saved) => String(Math.max(0, ...saved.map(entry => Number(entry.id) || 0)) + 1);
+
+/**
+ * Add a scenario under a name
+ *
+ * @param {Array} saved - The saved scenarios
+ * @param {string} name - The name of the scenario
+ * @param {Object} scenario - { graph, costValues, heuristicValues, startState, goalState }
+ * @returns {Object} - { saved: the new list, id: the id of the new entry }
+ */
+export function addSavedScenario(saved, name, scenario) {
+  const id = nextSavedId(saved);
+  return { saved: [...saved, { id, name, scenario }], id };
+}
+
+/**
+ * Rename a saved scenario
+ *
+ * @param {Array} saved - The saved scenarios
+ * @param {string} id - The id of the scenario
+ * @param {string} name - The new name
+ * @returns {Array} - The new list
+ */
+export function renameSavedScenario(saved, id, name) {
+  return saved.map(entry => (entry.id === id ? { ...entry, name } : entry));
+}
+
+/**
+ * Copy a saved scenario, right after the original
+ *
+ * @param {Array} saved - The saved scenarios
+ * @param {string} id - The id of the scenario
+ * @returns {Object} - { saved: the new list, id: the id of the copy }
+ */
+export function duplicateSavedScenario(saved, id) {
+  const index = saved.findIndex(entry => entry.id === id);
+  if (index === -1) return { saved, id: null };
+
+  const copy = { ...saved[index], id: nextSavedId(saved), name: `${saved[index].name} (copy)` };
+  return { saved: [...saved.slice(0, index + 1), copy, ...saved.slice(index + 1)], id: copy.id };
+}
+
+/**
+ * Delete a saved scenario
+ *
+ * @param {Array} saved - The saved scenarios
+ * @param {string} id - The id of the scenario
+ * @returns {Array} - The new list
+ */
+export function deleteSavedScenario(saved, id) {
+  return saved.filter(entry => entry.id !== id);
+}
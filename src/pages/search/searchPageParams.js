@@ -0,0 +1,159 @@
+import { formatGraphText, parseGraphText } from '../../algorithms/graphText';
+import { buildGridSearchInput } from '../../algorithms/Grid/gridWorld';
+import { getSearchAlgorithm, SEARCH_MODES, TEMPERATURE_SCHEDULES } from '../../algorithms';
+import { GRAPH_LAYOUTS } from '../../components/graphLayout';
+
+/**
+ * The view of the search page in the search params of its address
+ *
+ * A link opens the same exercise: the graph in the syntax of the graph input,
+ * with its costs and heuristic values as annotations, or the grid world; the
+ * start and goal; the algorithm with its options; the layout; and the step
+ * of the trace, counted from 1 like the step display.
+ *
+ *   ?graph=S: A(1),B(4)%0AA[h=2]: G(5)&start=S&goal=G&algorithm=aStar&step=3
+ */
+
+// Positions of a pinned layout: "A:0.25,0.5;B:0.75,0.5"
+const formatPositions = (positions) => Object.entries(positions)
+  .map(([node, { x, y }]) => `${node}:${Number(x.toFixed(3))},${Number(y.toFixed(3))}`)
+  .join(';');
+
+const parsePositions = (text) => {
+  const positions = {};
+  text.split(';').forEach(entry => {
+    const match = /^([A-Za-z0-9]+):(-?[\d.]+),(-?[\d.]+)$/.exec(entry);
+    if (match) {
+      positions[match[1]] = { x: parseFloat(match[2]), y: parseFloat(match[3]) };
+    }
+  });
+  return positions;
+};
+
+// Read a number param, or undefined when it is missing or not a number
+const readNumber = (params, name) => {
+  const value = parseFloat(params.get(name));
+  return Number.isFinite(value) ? value : undefined;
+};
+
+// Check the shape of a grid world read from a link
+const isGridWorld = (world) => Number.isInteger(world?.rows) &&
+  Number.isInteger(world.cols) &&
+  Array.isArray(world.cells) &&
+  world.cells.length === world.rows &&
+  world.cells.every(row => Array.isArray(row) && row.length === world.cols) &&
+  Array.isArray(world.start) &&
+  Array.isArray(world.goal);
+
+/**
+ * Write the view of the search page as search params
+ *
+ * Only what is set is written: the algorithm options once an algorithm is
+ * selected, and the step once the algorithm has run.
+ *
+ * @param {Object} view - { inputMode, gridWorld, graph, costValues, heuristicValues,
+ *   startState, goalState, selectedAlgorithm, algorithmOptions, layout, nodePositions,
+ *   steps, currentStep }
+ * @returns {URLSearchParams} - The search params
+ */
+export function createSearchPageParams(view) {
+  const params = new URLSearchParams();
+
+  if (view.inputMode === 'grid') {
+    params.set('grid', JSON.stringify(view.gridWorld));
+  } else if (view.graph) {
+    params.set('graph', formatGraphText(view.graph, view.costValues, view.heuristicValues));
+    if (view.startState) params.set('start', view.startState);
+    if (view.goalState) params.set('goal', view.goalState);
+  }
+
+  if (view.selectedAlgorithm) {
+    const { beamWidth, weight, seed, searchMode, annealingOptions } = view.algorithmOptions;
+    params.set('algorithm', view.selectedAlgorithm);
+    params.set('beam', beamWidth);
+    params.set('weight', weight);
+    params.set('seed', seed);
+    params.set('mode', searchMode);
+    params.set(
+      'annealing',
+      [annealingOptions.schedule, annealingOptions.initialTemperature, annealingOptions.maxIterations].join(',')
+    );
+  }
+
+  if (view.inputMode !== 'grid' && view.layout !== 'circle') {
+    params.set('layout', view.layout);
+    if (view.layout === 'pinned') {
+      params.set('positions', formatPositions(view.nodePositions));
+    }
+  }
+
+  if (view.steps.length > 0) {
+    params.set('step', view.currentStep + 1);
+  }
+
+  return params;
+}
+
+/**
+ * Read the view of the search page from search params
+ *
+ * Params that are missing or invalid are left out, so the page keeps its
+ * defaults for them. A grid world also gives the graph, costs, heuristic
+ * values, start and goal derived from it.
+ *
+ * @param {URLSearchParams} params - The search params
+ * @returns {Object} - The parts of the view found, with the keys of
+ *   createSearchPageParams; currentStep is counted from 0
+ */
+export function parseSearchPageParams(params) {
+  const view = {};
+
+  if (params.has('grid')) {
+    try {
+      const world = JSON.parse(params.get('grid'));
+      if (isGridWorld(world)) {
+        Object.assign(view, { inputMode: 'grid', gridWorld: world }, buildGridSearchInput(world));
+      }
+    } catch {
+      // Ignore a broken grid world
+    }
+  } else if (params.has('graph')) {
+    const { graph, costValues, heuristicValues } = parseGraphText(params.get('graph'));
+    Object.assign(view, { inputMode: 'graph', graph, costValues, heuristicValues });
+    if (params.has('start')) view.startState = params.get('start');
+    if (params.has('goal')) view.goalState = params.get('goal');
+  }
+
+  if (getSearchAlgorithm(params.get('algorithm'))) {
+    view.selectedAlgorithm = params.get('algorithm');
+  }
+
+  const options = {};
+  const beamWidth = readNumber(params, 'beam');
+  if (Number.isInteger(beamWidth) && beamWidth >= 1) options.beamWidth = beamWidth;
+  const weight = readNumber(params, 'weight');
+  if (weight !== undefined && weight >= 1) options.weight = weight;
+  const seed = readNumber(params, 'seed');
+  if (Number.isInteger(seed)) options.seed = seed;
+  if (params.get('mode') in SEARCH_MODES) options.searchMode = params.get('mode');
+
+  const [schedule, initialTemperature, maxIterations] = (params.get('annealing') || '').split(',');
+  if (schedule in TEMPERATURE_SCHEDULES && parseFloat(initialTemperature) > 0 && parseInt(maxIterations, 10) >= 1) {
+    options.annealingOptions = {
+      schedule,
+      initialTemperature: parseFloat(initialTemperature),
+      maxIterations: parseInt(maxIterations, 10)
+    };
+  }
+  view.algorithmOptions = options;
+
+  if (params.get('layout') in GRAPH_LAYOUTS) {
+    view.layout = params.get('layout');
+    view.nodePositions = parsePositions(params.get('positions') || '');
+  }
+
+  const step = readNumber(params, 'step');
+  if (Number.isInteger(step) && step >= 1) view.currentStep = step - 1;
+
+  return view;
+}